@@ -3,21 +3,105 @@
  *  the engine's processing queue.
  * @author LibreTexts <info@libretexts.org>
  */
-import { SSMClient, GetParameterCommand } from '@aws-sdk/client-ssm';
+import crypto from 'crypto';
+import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge';
+import { GetObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+import { SSMClient, GetParameterCommand, GetParametersByPathCommand } from '@aws-sdk/client-ssm';
 import { SQSClient, SendMessageCommand } from '@aws-sdk/client-sqs';
+import { TranslateClient, ListLanguagesCommand } from '@aws-sdk/client-translate';
+import axios from 'axios';
+import {
+  DEFAULT_WRITE_POLICY,
+  WRITE_POLICIES,
+  getS3Client,
+  isNonEmptyString,
+  readableToString,
+  writeJobRecordUpdate,
+} from '@polyglot-engine/shared';
+
+const FAILURE_MODES = ['keep', 'delete', 'quarantine'];
+const DEFAULT_FAILURE_MODE = 'quarantine';
+const REVIEW_MODES = ['staging', 'tag'];
+const RESUMABLE_STATUSES = ['saving', 'failed'];
+const XLIFF_EXPORT_STATUSES = ['saving', 'awaiting-review', 'completed', 'failed'];
+const XLIFF_IMPORT_STATUSES = ['awaiting-review', 'completed', 'failed'];
+const RETRYABLE_PAGE_STATUSES = ['mt-failed', 'parse-failed', 'save-failed', 'orphaned'];
+const GLOSSARY_FORMATS = ['csv', 'tmx'];
+const GLOSSARY_NAME_REGEX = /^[A-Za-z0-9-]{1,100}$/;
+const CRAWL_REUSE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const JOB_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const LANGUAGE_LIST_TTL = 6 * 60 * 60 * 1000; // 6 hours
 
 let reqOrigin;
+let languageListCache = null; // kept across invocations to avoid listing on every request
 
 /**
- * Verifies that a variable is a string and is non-empty (when whitespace is removed).
+ * An entry in a job's status history.
  *
- * @param {string} str - The string to check.
- * @returns {boolean} True if variable is a string and is non-emtpy, false if
- * non-empty or non-string.
+ * @typedef {object} JobHistoryEntry
+ * @property {string} status - The stage the job entered.
+ * @property {string} timestamp - The time the job entered the stage, in ISO format.
+ */
+
+/**
+ * An error encountered while processing a job.
+ *
+ * @typedef {object} JobError
+ * @property {string} stage - The stage the job was in when the error occurred.
+ * @property {string} message - A description of the error.
+ * @property {string} timestamp - The time the error was recorded, in ISO format.
+ */
+
+/**
+ * The engine's persistent record of a translation request, stored in S3 and updated
+ * by each cylinder as the job progresses.
+ *
+ * @typedef {object} JobRecord
+ * @property {string} jobID - The engine job identifier.
+ * @property {string} status - The job's current stage (queued, crawling, uploaded,
+ *  translating, saving, awaiting-review, publishing, completed, or failed), or estimated if the
+ *  job was a dry run.
+ * @property {string} createdAt - The time the job was queued, in ISO format.
+ * @property {string} updatedAt - The time the record was last updated, in ISO format.
+ * @property {object} params - The processed request parameters.
+ * @property {object} pageCounts - Counts of pages at each stage of processing.
+ * @property {JobError[]} errors - Errors encountered during processing.
+ * @property {JobHistoryEntry[]} history - The stages the job has passed through.
+ * @property {Object<string, string>} [reports] - The S3 keys of the job's per-page reports, by
+ *  target language, once saved.
+ * @property {Object<string, string>} [languageStatus] - The outcome of saving each target language
+ *  (saving, completed, or failed).
+ * @property {string} [retryOf] - The identifier of the job being retried, if applicable.
+ * @property {object} [estimate] - The size and cost estimate produced by a dry run.
+ * @property {object} [termCandidates] - The S3 key and term count of the candidate glossary terms
+ *  found by an analysis run.
+ * @property {object} [glossary] - The name and version of the glossary applied, if any.
+ * @property {string} [coverID] - The lib-ID identifier of the text's cover page, once uploaded.
+ * @property {Object<string, object>} [xliff] - The outcome of the latest XLIFF export for each
+ *  target language (its S3 key and page and unit counts), or null if the export failed.
+ * @property {Object<string, object>} [review] - The review state of each target language (its
+ *  review mode, staging path if any, and status), if the job was held for review.
+ * @property {string[]} [untranslated] - The target languages saved as copies of the source text,
+ *  because the local translation backend had no translation server configured.
+ */
+
+/**
+ * The languages supported by a translation provider.
+ *
+ * @typedef {object} LanguageList
+ * @property {string[]} codes - The supported language codes.
+ * @property {Object<string, string[]>|null} pairs - The target language codes supported for each
+ *  source language code, or null if any two different supported languages can be paired.
+ */
+
+/**
+ * Where translations into a language are saved by default.
+ *
+ * @typedef {object} LanguageRoute
+ * @property {string} lib - The LibreTexts library shortname (subdomain) for the language.
+ * @property {string} [path] - The default base path to save translations under, relative to
+ *  the library. If omitted, requests must provide a target path.
  */
-function isNonEmptyString(str) {
-  return typeof (str) === 'string' && str?.trim().length > 0;
-}
 
 /**
  * Parses a LibreTexts URL and extracts the subdomain and relative path.
@@ -36,6 +120,46 @@ function parseURL(url) {
   return [];
 }
 
+/**
+ * Reads the language routing table from the LANGUAGE_ROUTES environment variable, a JSON object
+ * mapping language codes to their target library and default base path.
+ *
+ * @returns {Object<string, LanguageRoute>} The routing table, keyed by language code. Empty if
+ *  not configured or invalid.
+ */
+function getLanguageRoutes() {
+  if (!isNonEmptyString(process.env.LANGUAGE_ROUTES)) {
+    return {};
+  }
+  try {
+    const routes = JSON.parse(process.env.LANGUAGE_ROUTES);
+    if (typeof (routes) !== 'object' || routes === null || Array.isArray(routes)) {
+      throw (new Error('Routing table must be an object.'));
+    }
+    return Object.fromEntries(Object.entries(routes).filter(([language, route]) => {
+      if (!isNonEmptyString(route?.lib)) {
+        console.warn(`[LANGUAGE ROUTES] Ignoring route for "${language}" without a library.`);
+        return false;
+      }
+      return true;
+    }));
+  } catch (e) {
+    console.warn('[LANGUAGE ROUTES] Warning: Error parsing language routing table:');
+    console.warn(e);
+  }
+  return {};
+}
+
+/**
+ * Builds the S3 object key of a job's persistent record.
+ *
+ * @param {string} jobID - The engine job identifier.
+ * @returns {string} The record's key in the engine output bucket.
+ */
+function getJobRecordKey(jobID) {
+  return `jobs/${jobID}.json`;
+}
+
 /**
  * Generates an HTTP response object to pass to API Gateway.
  *
@@ -55,7 +179,7 @@ function generateHTTPResponse(status, msg) {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': allowOrigin ? reqOrigin : 'https://api.libretexts.org',
       'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
-      'Access-Control-Allow-Methods': 'POST,OPTIONS',
+      'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
     },
   };
 }
@@ -112,12 +236,83 @@ function validateEventParams(queryParams) {
   if (typeof (queryParams.url) !== 'string' || queryParams.url.trim().length < 1) {
     validationErrors.push('URL not provided or invalid form.');
   }
-  if (typeof (queryParams.targetpath) !== 'string' || queryParams.targetpath.trim().length < 1) {
-    validationErrors.push('Target path not provided or invalid form.');
-  }
-  if (typeof (queryParams.language) !== 'string' || queryParams.language.trim().length < 1) {
+  const languages = isNonEmptyString(queryParams.language)
+    ? queryParams.language.split(',').map((code) => code.trim()).filter((code) => code.length > 0)
+    : [];
+  if (languages.length === 0) {
     validationErrors.push('Language code not provided or invalid.');
   }
+  if (new Set(languages).size !== languages.length) {
+    validationErrors.push('Each language code can only be listed once.');
+  }
+  const routes = getLanguageRoutes();
+  const routedLibs = new Set(Object.values(routes).map((route) => route.lib));
+  const targets = [];
+  languages.forEach((language) => {
+    const route = routes[language];
+    const targetURL = queryParams[`targetpath.${language}`] ?? queryParams.targetpath;
+    if (targetURL === undefined) {
+      if (queryParams.subtree === 'true') {
+        /* subtree mode needs the existing translated text's coverpage */
+        validationErrors.push(`Target path must be provided for "${language}" in subtree mode.`);
+      } else if (route && isNonEmptyString(route.path)) {
+        targets.push({ language, targetLib: route.lib, targetPath: route.path });
+      } else {
+        validationErrors.push(`Target path not provided for "${language}", and no default is configured.`);
+      }
+      return;
+    }
+    if (!isNonEmptyString(targetURL)) {
+      validationErrors.push(`Target path not provided or invalid form for "${language}".`);
+      return;
+    }
+    const [targetLib, targetPath] = parseURL(targetURL.trim());
+    if (!targetLib || !targetPath) {
+      validationErrors.push(`Invalid target URL for "${language}".`);
+      return;
+    }
+    if (route && route.lib !== targetLib) {
+      validationErrors.push(`Translations to "${language}" must be saved to the "${route.lib}" library.`);
+      return;
+    }
+    if (!route && routedLibs.has(targetLib)) {
+      validationErrors.push(`The "${targetLib}" library doesn't accept translations to "${language}".`);
+      return;
+    }
+    targets.push({ language, targetLib, targetPath });
+  });
+  const targetURLs = targets.map(({ targetLib, targetPath }) => `${targetLib}/${targetPath}`);
+  if (new Set(targetURLs).size !== targetURLs.length) {
+    validationErrors.push('Each language must have its own target path.');
+  }
+  if (queryParams.sourcelanguage !== undefined && !isNonEmptyString(queryParams.sourcelanguage)) {
+    validationErrors.push('Source language code invalid.');
+  }
+  if (
+    queryParams.glossary !== undefined
+    && queryParams.glossary !== 'none'
+    && !GLOSSARY_NAME_REGEX.test(queryParams.glossary)
+  ) {
+    validationErrors.push('Glossary name must only contain letters, numbers, and hyphens.');
+  }
+  if (queryParams.dryrun !== undefined && !['true', 'false'].includes(queryParams.dryrun)) {
+    validationErrors.push('Dry run flag must be "true" or "false".');
+  }
+  if (queryParams.analyze !== undefined && !['true', 'false'].includes(queryParams.analyze)) {
+    validationErrors.push('Analysis flag must be "true" or "false".');
+  }
+  if (queryParams.subtree !== undefined && !['true', 'false'].includes(queryParams.subtree)) {
+    validationErrors.push('Subtree mode flag must be "true" or "false".');
+  }
+  if (queryParams.writepolicy !== undefined && !WRITE_POLICIES.includes(queryParams.writepolicy)) {
+    validationErrors.push(`Write policy must be one of: ${WRITE_POLICIES.join(', ')}.`);
+  }
+  if (queryParams.onfailure !== undefined && !FAILURE_MODES.includes(queryParams.onfailure)) {
+    validationErrors.push(`Failure mode must be one of: ${FAILURE_MODES.join(', ')}.`);
+  }
+  if (queryParams.review !== undefined && !REVIEW_MODES.includes(queryParams.review)) {
+    validationErrors.push(`Review mode must be one of: ${REVIEW_MODES.join(', ')}.`);
+  }
   if (typeof (queryParams.notify) === 'string') {
     const inputAddrs = queryParams.notify.split(',');
     inputAddrs.forEach((email) => {
@@ -130,29 +325,659 @@ function validateEventParams(queryParams) {
     });
   }
   const [lib, path] = parseURL(queryParams.url);
-  const [targetLib, targetPath] = parseURL(queryParams.targetpath);
   if (!lib || !path) {
     validationErrors.push('Invalid URL to translate.');
   }
-  if (!targetLib || !targetPath) {
-    validationErrors.push('Invalid target URL.');
-  }
   const errorsFound = validationErrors.length > 0;
   if (errorsFound) {
     console.error('[PROCESS PARAMS] Parameters validation failed:');
     validationErrors.forEach((err) => console.error(`\t${err}`));
   }
   const foundParams = {
-    language: queryParams.language,
+    targets,
+    ...(isNonEmptyString(queryParams.sourcelanguage) && {
+      sourceLanguage: queryParams.sourcelanguage.trim(),
+    }),
     lib,
     path,
-    targetLib,
-    targetPath,
     notifyAddrs,
+    subtree: queryParams.subtree === 'true',
+    /* analysis runs crawl and estimate without translating, like a dry run */
+    dryRun: queryParams.dryrun === 'true' || queryParams.analyze === 'true',
+    analyze: queryParams.analyze === 'true',
+    ...(isNonEmptyString(queryParams.glossary) && { glossary: queryParams.glossary }),
+    writePolicy: queryParams.writepolicy || DEFAULT_WRITE_POLICY,
+    onFailure: queryParams.onfailure || DEFAULT_FAILURE_MODE,
+    ...(REVIEW_MODES.includes(queryParams.review) && { review: queryParams.review }),
   };
   return [!errorsFound, validationErrors, foundParams];
 }
 
+/**
+ * Checks that the server API key and secret for a library are stored in AWS Systems Manager,
+ * so the engine will be able to save to it.
+ *
+ * @param {string} lib - The LibreTexts library shortname to check.
+ * @returns {Promise<boolean|null>} True if the keys were found, false if not, or null if
+ *  error encountered.
+ */
+async function verifyLibraryKeys(lib) {
+  try {
+    console.log(`[VERIFY LIBRARY KEYS] ${lib}`);
+    const ssmClient = new SSMClient();
+    const keysResponse = await ssmClient.send(new GetParametersByPathCommand({
+      Path: `${process.env.AWS_SSM_LIB_SERVERKEYS_PATH}${lib}`,
+      MaxResults: 10,
+      Recursive: true,
+    }));
+    if (keysResponse.$metadata.httpStatusCode !== 200) {
+      throw (new Error('Unknown error encountered using SSM API.'));
+    }
+    const parameters = keysResponse.Parameters || [];
+    const hasKey = parameters.some((param) => param.Name?.includes(`${lib}/key`));
+    const hasSecret = parameters.some((param) => param.Name?.includes(`${lib}/secret`));
+    return hasKey && hasSecret;
+  } catch (e) {
+    console.error('[VERIFY LIBRARY KEYS] Error retrieving library keys:');
+    console.error(e);
+  }
+  return null;
+}
+
+/**
+ * Retrieves the languages supported by Amazon Translate.
+ *
+ * @returns {Promise<LanguageList|null>} The supported languages, or null if error encountered.
+ */
+async function listAWSLanguages() {
+  try {
+    const transClient = new TranslateClient({
+      credentials: {
+        accessKeyId: process.env.AWS_TRANS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_TRANS_SECRET_ACCESS_KEY,
+      },
+      region: process.env.AWS_ENGINE_REGION,
+    });
+    const codes = [];
+    const listLanguagePage = async (nextToken) => {
+      const langsResponse = await transClient.send(new ListLanguagesCommand({
+        MaxResults: 500,
+        NextToken: nextToken,
+      }));
+      if (langsResponse.$metadata?.httpStatusCode !== 200) {
+        throw (new Error('Unknown error encountered using Translate API.'));
+      }
+      (langsResponse.Languages || []).forEach(({ LanguageCode }) => {
+        if (isNonEmptyString(LanguageCode) && LanguageCode !== 'auto') {
+          codes.push(LanguageCode);
+        }
+      });
+      if (langsResponse.NextToken) {
+        await listLanguagePage(langsResponse.NextToken);
+      }
+    };
+    await listLanguagePage();
+    return { codes, pairs: null };
+  } catch (e) {
+    console.error('[AWS LANGUAGES] Error listing supported languages:');
+    console.error(e);
+  }
+  return null;
+}
+
+/**
+ * Retrieves the languages supported by the self-hosted, LibreTranslate-compatible server.
+ *
+ * @returns {Promise<LanguageList|null>} The supported languages, or null if no server is
+ *  configured (all languages pass through unchanged) or error encountered.
+ */
+async function listLocalLanguages() {
+  if (!isNonEmptyString(process.env.LOCAL_TRANSLATE_URL)) {
+    return null;
+  }
+  try {
+    const serverURL = process.env.LOCAL_TRANSLATE_URL.replace(/\/$/, '');
+    const langsRes = await axios.get(`${serverURL}/languages`);
+    if (!Array.isArray(langsRes.data)) {
+      throw (new Error('Invalid response returned from local translation server.'));
+    }
+    const pairs = {};
+    langsRes.data.forEach(({ code, targets }) => {
+      if (isNonEmptyString(code)) {
+        pairs[code] = Array.isArray(targets) ? targets.filter((target) => target !== code) : [];
+      }
+    });
+    return { codes: Object.keys(pairs), pairs };
+  } catch (e) {
+    console.error('[LOCAL LANGUAGES] Error listing supported languages:');
+    console.error(e);
+  }
+  return null;
+}
+
+/**
+ * Retrieves the languages supported by the active translation provider, using a cached list if
+ * it was retrieved recently.
+ *
+ * @returns {Promise<LanguageList|null>} The supported languages, or null if they couldn't be
+ *  determined.
+ */
+async function getSupportedLanguages() {
+  const providerName = process.env.TRANSLATION_PROVIDER?.trim().toLowerCase() || 'aws';
+  if (
+    languageListCache?.provider === providerName
+    && Date.now() - languageListCache.retrieved < LANGUAGE_LIST_TTL
+  ) {
+    return languageListCache.languages;
+  }
+  const languages = providerName === 'local'
+    ? await listLocalLanguages()
+    : await listAWSLanguages();
+  if (languages !== null) {
+    languageListCache = { provider: providerName, languages, retrieved: Date.now() };
+  }
+  return languages;
+}
+
+/**
+ * Validates a request's source and target language codes, and each source-target pair, against
+ * the active translation provider's supported languages. Validation is skipped if the supported
+ * languages can't be determined.
+ *
+ * @param {object} params - The processed request parameters.
+ * @returns {Promise<object>} 2-tuple containing an array of validation error messages (if any
+ *  found), and the accepted language codes (if known).
+ */
+async function validateLanguageCodes(params) {
+  const supported = await getSupportedLanguages();
+  if (supported === null) {
+    console.warn('[VERIFY LANGUAGES] Supported languages unknown, skipping validation.');
+    return [[], null];
+  }
+  const validationErrors = [];
+  const { sourceLanguage, targets } = params;
+  const sourceKnown = isNonEmptyString(sourceLanguage);
+  if (sourceKnown && !supported.codes.includes(sourceLanguage)) {
+    validationErrors.push(`Source language code "${sourceLanguage}" is not supported.`);
+  }
+  targets.forEach(({ language }) => {
+    if (!supported.codes.includes(language)) {
+      validationErrors.push(`Language code "${language}" is not supported.`);
+    } else if (sourceKnown && language === sourceLanguage) {
+      validationErrors.push(`Language code "${language}" is the same as the source language.`);
+    } else if (
+      sourceKnown
+      && supported.pairs?.[sourceLanguage]
+      && !supported.pairs[sourceLanguage].includes(language)
+    ) {
+      validationErrors.push(`Translation from "${sourceLanguage}" to "${language}" is not supported.`);
+    }
+  });
+  if (validationErrors.length > 0) {
+    console.error('[VERIFY LANGUAGES] Language validation failed:');
+    validationErrors.forEach((err) => console.error(`\t${err}`));
+  }
+  return [validationErrors, supported.codes];
+}
+
+/**
+ * Creates a new job record and saves it to S3, with the same conditional writes as the other
+ * modules' updates to it.
+ *
+ * @param {string} jobID - The engine job identifier.
+ * @param {object} params - The processed request parameters.
+ * @returns {Promise<boolean>} True if the record was saved, false otherwise.
+ */
+async function createJobRecord(jobID, params) {
+  try {
+    await writeJobRecordUpdate(getS3Client(), jobID, { status: 'queued', details: { params } });
+    return true;
+  } catch (e) {
+    console.error(`[CREATE JOB] Error saving record for job "${jobID}":`);
+    console.error(e);
+  }
+  return false;
+}
+
+/**
+ * Retrieves a job's record from S3.
+ *
+ * @param {string} jobID - The engine job identifier.
+ * @returns {Promise<JobRecord|null>} The job record, or null if not found or error encountered.
+ */
+async function retrieveJobRecord(jobID) {
+  try {
+    const s3Client = getS3Client();
+    const recordRes = await s3Client.send(new GetObjectCommand({
+      Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+      Key: getJobRecordKey(jobID),
+    }));
+    if (recordRes.$metadata?.httpStatusCode !== 200) {
+      throw (new Error('Unknown error encountered using S3 API.'));
+    }
+    return JSON.parse(await readableToString(recordRes.Body));
+  } catch (e) {
+    if (e.name !== 'NoSuchKey') {
+      console.error(`[RETRIEVE JOB] Error retrieving record for job "${jobID}":`);
+      console.error(e);
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the current state of a previously queued job.
+ *
+ * @param {object} queryParams - The original request query string parameters.
+ * @returns {Promise<object>} An HTTP response object containing the job's status, page counts,
+ *  and errors.
+ */
+async function getJobStatus(queryParams) {
+  const jobID = queryParams?.jobid?.trim();
+  console.log(`[JOB STATUS] ${jobID}`);
+  if (!isNonEmptyString(jobID) || !JOB_ID_REGEX.test(jobID)) {
+    return generateHTTPResponse(400, 'Polyglot Engine: Job identifier not provided or invalid.');
+  }
+  const record = await retrieveJobRecord(jobID);
+  if (record === null) {
+    return generateHTTPResponse(404, 'Polyglot Engine: Job not found.');
+  }
+  const {
+    status,
+    createdAt,
+    updatedAt,
+    params,
+    pageCounts,
+    errors,
+    history,
+    reports,
+    languageStatus,
+    retryOf,
+    estimate,
+    termCandidates,
+    glossary,
+    xliff,
+    review,
+    untranslated,
+  } = record;
+  return generateHTTPResponse(200, {
+    jobID,
+    status,
+    createdAt,
+    updatedAt,
+    params,
+    pageCounts,
+    errors,
+    history,
+    reports,
+    languageStatus,
+    retryOf,
+    estimate,
+    termCandidates,
+    glossary,
+    xliff,
+    review,
+    untranslated,
+  });
+}
+
+/**
+ * Lists the glossaries stored in the engine output bucket.
+ *
+ * @returns {Promise<object[]|null>} The name, format, version, and last modified time of each
+ *  glossary, or null if error encountered.
+ */
+async function listGlossaries() {
+  try {
+    const s3Client = getS3Client();
+    const glossaries = [];
+    const listGlossaryPage = async (continuationToken) => {
+      const listRes = await s3Client.send(new ListObjectsV2Command({
+        Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+        Prefix: 'glossaries/',
+        ContinuationToken: continuationToken,
+      }));
+      (listRes.Contents || []).forEach((obj) => {
+        const [, name, format] = obj.Key.match(/^glossaries\/(.+)\.(\w+)$/) || [];
+        if (name && GLOSSARY_FORMATS.includes(format)) {
+          glossaries.push({
+            name,
+            format,
+            version: obj.ETag?.replace(/"/g, ''),
+            updatedAt: obj.LastModified?.toISOString(),
+          });
+        }
+      });
+      if (listRes.IsTruncated) {
+        await listGlossaryPage(listRes.NextContinuationToken);
+      }
+    };
+    await listGlossaryPage();
+    return glossaries;
+  } catch (e) {
+    console.error('[LIST GLOSSARIES] Error listing glossaries:');
+    console.error(e);
+  }
+  return null;
+}
+
+/**
+ * Publishes an event asking ProcessTranslated to process a job's translation again, in the same
+ * format as the provider's job completion event.
+ *
+ * @param {JobRecord} record - The job's record.
+ * @param {object} options - Additional event details, indicating how to process the translation.
+ * @returns {Promise<boolean>} True if the event was published, false otherwise.
+ */
+async function sendProcessTranslatedEvent(record, options) {
+  try {
+    const eventsClient = new EventBridgeClient({ region: process.env.AWS_ENGINE_REGION });
+    const eventRes = await eventsClient.send(new PutEventsCommand({
+      Entries: [{
+        Source: 'libretexts.polyglot',
+        DetailType: 'Translate TextTranslationJob State Change',
+        Detail: JSON.stringify({
+          jobId: record.providerJobID,
+          jobStatus: 'COMPLETED',
+          provider: record.provider,
+          ...options,
+        }),
+        EventBusName: process.env.AWS_EVENTBRIDGE_BUS_NAME,
+      }],
+    }));
+    if (eventRes.FailedEntryCount > 0) {
+      throw (new Error('Error publishing event.'));
+    }
+    return true;
+  } catch (e) {
+    console.error('[PROCESS EVENT] Error publishing event:');
+    console.error(e);
+  }
+  return false;
+}
+
+/**
+ * Requests that ProcessTranslated resume saving a job's translated text, continuing from its
+ * creation ledger instead of starting over.
+ *
+ * @param {object} queryParams - The original request query string parameters.
+ * @returns {Promise<object>} An HTTP response object indicating if the resume was requested.
+ */
+async function resumeJob(queryParams) {
+  const jobID = queryParams?.jobid?.trim();
+  console.log(`[RESUME JOB] ${jobID}`);
+  if (!isNonEmptyString(jobID) || !JOB_ID_REGEX.test(jobID)) {
+    return generateHTTPResponse(400, 'Polyglot Engine: Job identifier not provided or invalid.');
+  }
+  const record = await retrieveJobRecord(jobID);
+  if (record === null) {
+    return generateHTTPResponse(404, 'Polyglot Engine: Job not found.');
+  }
+  if (!RESUMABLE_STATUSES.includes(record.status) || !isNonEmptyString(record.providerJobID)) {
+    return generateHTTPResponse(409, `Polyglot Engine: Job can't be resumed from status "${record.status}".`);
+  }
+  const requested = await sendProcessTranslatedEvent(record, { resume: true });
+  if (!requested) {
+    return generateHTTPResponse(500, 'Polyglot Engine: Unknown internal error occurred.');
+  }
+  return generateHTTPResponse(200, { msg: 'Polyglot Engine: Job resume requested.', jobID });
+}
+
+/**
+ * Requests that ProcessTranslated export a job's machine translation to XLIFF files, one for
+ * each target language, for translators to post-edit.
+ *
+ * @param {object} queryParams - The original request query string parameters.
+ * @returns {Promise<object>} An HTTP response object indicating if the export was requested.
+ */
+async function exportXLIFFJob(queryParams) {
+  const jobID = queryParams?.jobid?.trim();
+  console.log(`[EXPORT XLIFF] ${jobID}`);
+  if (!isNonEmptyString(jobID) || !JOB_ID_REGEX.test(jobID)) {
+    return generateHTTPResponse(400, 'Polyglot Engine: Job identifier not provided or invalid.');
+  }
+  const record = await retrieveJobRecord(jobID);
+  if (record === null) {
+    return generateHTTPResponse(404, 'Polyglot Engine: Job not found.');
+  }
+  if (!XLIFF_EXPORT_STATUSES.includes(record.status) || !isNonEmptyString(record.providerJobID)) {
+    return generateHTTPResponse(409, `Polyglot Engine: Job can't be exported from status "${record.status}".`);
+  }
+  const requested = await sendProcessTranslatedEvent(record, { xliff: 'export' });
+  if (!requested) {
+    return generateHTTPResponse(500, 'Polyglot Engine: Unknown internal error occurred.');
+  }
+  return generateHTTPResponse(200, { msg: 'Polyglot Engine: XLIFF export requested.', jobID });
+}
+
+/**
+ * Requests that ProcessTranslated save a job's reviewed translation from its XLIFF files,
+ * instead of the machine translation. Only languages that were exported can be imported.
+ *
+ * @param {object} queryParams - The original request query string parameters.
+ * @returns {Promise<object>} An HTTP response object indicating if the import was requested.
+ */
+async function importXLIFFJob(queryParams) {
+  const jobID = queryParams?.jobid?.trim();
+  console.log(`[IMPORT XLIFF] ${jobID}`);
+  if (!isNonEmptyString(jobID) || !JOB_ID_REGEX.test(jobID)) {
+    return generateHTTPResponse(400, 'Polyglot Engine: Job identifier not provided or invalid.');
+  }
+  if (queryParams.writepolicy !== undefined && !WRITE_POLICIES.includes(queryParams.writepolicy)) {
+    return generateHTTPResponse(400, `Polyglot Engine: Write policy must be one of: ${WRITE_POLICIES.join(', ')}.`);
+  }
+  const record = await retrieveJobRecord(jobID);
+  if (record === null) {
+    return generateHTTPResponse(404, 'Polyglot Engine: Job not found.');
+  }
+  if (!XLIFF_IMPORT_STATUSES.includes(record.status) || !isNonEmptyString(record.coverID)) {
+    return generateHTTPResponse(409, `Polyglot Engine: Job can't be imported from status "${record.status}".`);
+  }
+  const exported = Object.keys(record.xliff || {}).filter((language) => record.xliff[language]);
+  const languages = isNonEmptyString(queryParams.language)
+    ? queryParams.language.split(',').map((language) => language.trim())
+    : exported;
+  const notExported = languages.filter((language) => !exported.includes(language));
+  if (languages.length === 0 || notExported.length > 0) {
+    return generateHTTPResponse(409, {
+      msg: 'Polyglot Engine: Languages must be exported to XLIFF before they can be imported.',
+      errors: notExported,
+    });
+  }
+  const requested = await sendProcessTranslatedEvent(record, {
+    xliff: 'import',
+    coverID: record.coverID,
+    languages,
+    ...(isNonEmptyString(queryParams.writepolicy) && { writePolicy: queryParams.writepolicy }),
+  });
+  if (!requested) {
+    return generateHTTPResponse(500, 'Polyglot Engine: Unknown internal error occurred.');
+  }
+  return generateHTTPResponse(200, { msg: 'Polyglot Engine: XLIFF import requested.', jobID });
+}
+
+/**
+ * Requests that ProcessTranslated publish a job's translation that was held for review, moving
+ * it from staging to its final location or removing its review restrictions, then notify the
+ * requesters.
+ *
+ * @param {object} queryParams - The original request query string parameters.
+ * @returns {Promise<object>} An HTTP response object indicating if the approval was requested.
+ */
+async function approveJob(queryParams) {
+  const jobID = queryParams?.jobid?.trim();
+  console.log(`[APPROVE JOB] ${jobID}`);
+  if (!isNonEmptyString(jobID) || !JOB_ID_REGEX.test(jobID)) {
+    return generateHTTPResponse(400, 'Polyglot Engine: Job identifier not provided or invalid.');
+  }
+  const record = await retrieveJobRecord(jobID);
+  if (record === null) {
+    return generateHTTPResponse(404, 'Polyglot Engine: Job not found.');
+  }
+  if (record.status !== 'awaiting-review' || !isNonEmptyString(record.coverID)) {
+    return generateHTTPResponse(409, `Polyglot Engine: Job can't be approved from status "${record.status}".`);
+  }
+  const requested = await sendProcessTranslatedEvent(record, {
+    review: 'approve',
+    coverID: record.coverID,
+  });
+  if (!requested) {
+    return generateHTTPResponse(500, 'Polyglot Engine: Unknown internal error occurred.');
+  }
+  return generateHTTPResponse(200, { msg: 'Polyglot Engine: Job approval requested.', jobID });
+}
+
+/**
+ * Creates a job record for a translation request and pushes it to the engine processing queue.
+ *
+ * @param {object} params - The processed request parameters.
+ * @param {object} originalParams - The original request query string parameters.
+ * @returns {Promise<string|null>} The new job's identifier, or null if error encountered.
+ */
+async function queueTranslationJob(params, originalParams) {
+  const jobID = crypto.randomUUID();
+  console.log(`[ENGINE IGNITION] Creating job ${jobID}...`);
+  const jobCreated = await createJobRecord(jobID, params);
+  if (!jobCreated) {
+    return null;
+  }
+
+  console.log('[ENGINE IGNITION] Sending queue message...');
+  const queueMsg = { originalParams, ...params, jobID };
+  const sqsClient = new SQSClient();
+  const queueRes = await sqsClient.send(new SendMessageCommand({
+    MessageBody: JSON.stringify(queueMsg),
+    MessageGroupId: process.env.AWS_SQS_GROUP_ID,
+    QueueUrl: process.env.AWS_SQS_QUEUE_URL,
+  }));
+  if (queueRes?.$metadata?.httpStatusCode !== 200) {
+    return null;
+  }
+  return jobID;
+}
+
+/**
+ * Queues a real translation job for a dry run, reusing the dry run's crawl instead of retrieving
+ * the text again.
+ *
+ * @param {object} queryParams - The original request query string parameters.
+ * @returns {Promise<object>} An HTTP response object containing the new job's identifier.
+ */
+async function translateEstimatedJob(queryParams) {
+  const jobID = queryParams?.jobid?.trim();
+  console.log(`[TRANSLATE ESTIMATED] ${jobID}`);
+  if (!isNonEmptyString(jobID) || !JOB_ID_REGEX.test(jobID)) {
+    return generateHTTPResponse(400, 'Polyglot Engine: Job identifier not provided or invalid.');
+  }
+  const record = await retrieveJobRecord(jobID);
+  if (record === null) {
+    return generateHTTPResponse(404, 'Polyglot Engine: Job not found.');
+  }
+  if (record.status !== 'estimated') {
+    return generateHTTPResponse(409, 'Polyglot Engine: Job is not a finished dry run.');
+  }
+  if (Date.now() - Date.parse(record.updatedAt) > CRAWL_REUSE_TTL) {
+    return generateHTTPResponse(409, 'Polyglot Engine: Dry run is too old to reuse, submit a new request.');
+  }
+  const translateJobID = await queueTranslationJob(
+    {
+      ...record.params,
+      dryRun: false,
+      analyze: false,
+      reuseCrawl: jobID,
+    },
+    { ...record.params, action: 'translate', jobid: jobID },
+  );
+  if (translateJobID === null) {
+    return generateHTTPResponse(500, 'Polyglot Engine: Unknown internal error occurred.');
+  }
+  console.log(`[TRANSLATE ESTIMATED] Queued dry run ${jobID} as job ${translateJobID}.`);
+  return generateHTTPResponse(200, {
+    msg: 'Polyglot Engine: Translation request successfully queued.',
+    jobID: translateJobID,
+    estimateOf: jobID,
+  });
+}
+
+/**
+ * Queues a new job that retries only the pages a previous job failed to translate or save,
+ * according to its per-page report.
+ *
+ * @param {object} queryParams - The original request query string parameters.
+ * @returns {Promise<object>} An HTTP response object containing the new job's identifier.
+ */
+async function retryJob(queryParams) {
+  const jobID = queryParams?.jobid?.trim();
+  console.log(`[RETRY JOB] ${jobID}`);
+  if (!isNonEmptyString(jobID) || !JOB_ID_REGEX.test(jobID)) {
+    return generateHTTPResponse(400, 'Polyglot Engine: Job identifier not provided or invalid.');
+  }
+  const record = await retrieveJobRecord(jobID);
+  if (record === null) {
+    return generateHTTPResponse(404, 'Polyglot Engine: Job not found.');
+  }
+  const { params } = record;
+  /* records from before multiple targets have a single report and target */
+  const reports = Object.entries(record.reports || (
+    isNonEmptyString(record.reportKey) ? { [params.language]: record.reportKey } : {}
+  ));
+  if (!['completed', 'failed'].includes(record.status) || reports.length === 0) {
+    return generateHTTPResponse(409, 'Polyglot Engine: Job has no page report to retry from.');
+  }
+  const retryPages = {};
+  try {
+    const s3Client = getS3Client();
+    await Promise.all(reports.map(async ([language, reportKey]) => {
+      const reportRes = await s3Client.send(new GetObjectCommand({
+        Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+        Key: reportKey,
+      }));
+      const report = JSON.parse(await readableToString(reportRes.Body));
+      const failedPages = report.pages
+        .filter((page) => RETRYABLE_PAGE_STATUSES.includes(page.status))
+        .map((page) => page.pageKey);
+      if (failedPages.length > 0) {
+        retryPages[language] = failedPages;
+      }
+    }));
+  } catch (e) {
+    console.error('[RETRY JOB] Error retrieving page reports:');
+    console.error(e);
+    return generateHTTPResponse(500, 'Polyglot Engine: Unknown internal error occurred.');
+  }
+  const pageCount = Object.values(retryPages).reduce((total, pages) => total + pages.length, 0);
+  if (pageCount === 0) {
+    return generateHTTPResponse(409, 'Polyglot Engine: Job has no failed pages to retry.');
+  }
+
+  /* Only retry the languages that had failures */
+  const allTargets = params.targets || [{
+    language: params.language,
+    targetLib: params.targetLib,
+    targetPath: params.targetPath,
+  }];
+  const targets = allTargets.filter(({ language }) => retryPages[language]);
+  const retryJobID = await queueTranslationJob(
+    {
+      ...params,
+      targets,
+      retryOf: jobID,
+      retryPages,
+    },
+    { ...params, action: 'retry', jobid: jobID },
+  );
+  if (retryJobID === null) {
+    return generateHTTPResponse(500, 'Polyglot Engine: Unknown internal error occurred.');
+  }
+  console.log(`[RETRY JOB] Queued ${pageCount} pages as job ${retryJobID}.`);
+  return generateHTTPResponse(200, {
+    msg: 'Polyglot Engine: Retry of failed pages successfully queued.',
+    jobID: retryJobID,
+    retryOf: jobID,
+    pageCount,
+  });
+}
+
 /**
  * Runs validation on the translation request parameters, then pushes it to the
  * engine processing queue.
@@ -175,6 +1000,35 @@ async function engineIgnition(event) {
     return generateHTTPResponse(401, 'Polyglot Engine: Invalid authorization passphrase.');
   }
 
+  if (event.httpMethod === 'GET') {
+    if (event.queryStringParameters?.action === 'glossaries') {
+      const glossaries = await listGlossaries();
+      if (glossaries === null) {
+        return generateHTTPResponse(500, 'Polyglot Engine: Unknown internal error occurred.');
+      }
+      return generateHTTPResponse(200, { glossaries });
+    }
+    return getJobStatus(event.queryStringParameters);
+  }
+  if (event.queryStringParameters?.action === 'resume') {
+    return resumeJob(event.queryStringParameters);
+  }
+  if (event.queryStringParameters?.action === 'retry') {
+    return retryJob(event.queryStringParameters);
+  }
+  if (event.queryStringParameters?.action === 'translate') {
+    return translateEstimatedJob(event.queryStringParameters);
+  }
+  if (event.queryStringParameters?.action === 'export') {
+    return exportXLIFFJob(event.queryStringParameters);
+  }
+  if (event.queryStringParameters?.action === 'import') {
+    return importXLIFFJob(event.queryStringParameters);
+  }
+  if (event.queryStringParameters?.action === 'approve') {
+    return approveJob(event.queryStringParameters);
+  }
+
   const [validParams, paramErrs, foundParams] = validateEventParams(event.queryStringParameters);
   if (!validParams) {
     console.error('Fatal Error: Required parameters are missing.');
@@ -184,19 +1038,54 @@ async function engineIgnition(event) {
     });
   }
 
-  console.log('[ENGINE IGNITION] Sending queue message...');
-  const queueMsg = { originalParams: event.queryStringParameters, ...foundParams };
-  const sqsClient = new SQSClient();
-  const queueRes = await sqsClient.send(new SendMessageCommand({
-    MessageBody: JSON.stringify(queueMsg),
-    MessageGroupId: process.env.AWS_SQS_GROUP_ID,
-    QueueUrl: process.env.AWS_SQS_QUEUE_URL,
-  }));
-  if (queueRes?.$metadata?.httpStatusCode !== 200) {
+  const [languageErrs, acceptedCodes] = await validateLanguageCodes(foundParams);
+  if (languageErrs.length > 0) {
+    return generateHTTPResponse(400, {
+      msg: 'Polyglot Engine: Unsupported language code(s) provided.',
+      errors: languageErrs,
+      acceptedCodes,
+    });
+  }
+
+  if (isNonEmptyString(foundParams.glossary) && foundParams.glossary !== 'none') {
+    const glossaries = await listGlossaries();
+    if (glossaries === null) {
+      return generateHTTPResponse(500, 'Polyglot Engine: Unknown internal error occurred.');
+    }
+    if (!glossaries.some(({ name }) => name === foundParams.glossary)) {
+      return generateHTTPResponse(400, {
+        msg: 'Polyglot Engine: Glossary not found.',
+        errors: [`No glossary named "${foundParams.glossary}" is available.`],
+        glossaries: glossaries.map(({ name }) => name),
+      });
+    }
+  }
+
+  const targetLibs = [...new Set(foundParams.targets.map(({ targetLib }) => targetLib))];
+  const keysFound = await Promise.all(targetLibs.map((lib) => verifyLibraryKeys(lib)));
+  if (keysFound.includes(null)) {
+    return generateHTTPResponse(500, 'Polyglot Engine: Unknown internal error occurred.');
+  }
+  const unkeyedLibs = targetLibs.filter((_lib, idx) => !keysFound[idx]);
+  if (unkeyedLibs.length > 0) {
+    console.error(`Fatal Error: No keys configured for target libraries: ${unkeyedLibs.join(', ')}.`);
+    return generateHTTPResponse(400, {
+      msg: 'Polyglot Engine: Target library is not configured.',
+      errors: unkeyedLibs.map((lib) => `No API keys are configured for the "${lib}" library.`),
+    });
+  }
+
+  const jobID = await queueTranslationJob(foundParams, event.queryStringParameters);
+  if (jobID === null) {
     return generateHTTPResponse(500, 'Polyglot Engine: Unknown internal error occurred.');
   }
   console.log('[ENGINE IGNITION] Request queued succesfully!');
-  return generateHTTPResponse(200, 'Polyglot Engine: Translation request successfully queued.');
+  return generateHTTPResponse(200, {
+    msg: (foundParams.analyze && 'Polyglot Engine: Analysis request successfully queued.')
+      || (foundParams.dryRun && 'Polyglot Engine: Dry run request successfully queued.')
+      || 'Polyglot Engine: Translation request successfully queued.',
+    jobID,
+  });
 }
 
 /**
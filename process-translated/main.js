@@ -4,14 +4,27 @@
  */
 import { Buffer } from 'buffer';
 import crypto from 'crypto';
+import fs from 'fs/promises';
 import * as https from 'https';
-import { Readable } from 'stream';
+import { dirname, join as joinPath } from 'path';
 import async from 'async';
 import axios from 'axios';
 import bluebird from 'bluebird';
 import * as cheerio from 'cheerio';
+import {
+  DEFAULT_WRITE_POLICY,
+  WRITE_POLICIES,
+  addRateLimiting,
+  isNonEmptyString,
+  logAPIStats,
+  readableToString,
+  resetAPIStats,
+  updateJobRecord,
+  writeObjectConditionally,
+} from '@polyglot-engine/shared';
 import xmlEscape from 'xml-escape';
-import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
+import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge';
+import { S3Client, GetObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
 import { SESv2Client, SendEmailCommand } from '@aws-sdk/client-sesv2';
 import { SSMClient, GetParametersByPathCommand } from '@aws-sdk/client-ssm';
 import { TranslateClient, DescribeTextTranslationJobCommand } from '@aws-sdk/client-translate';
@@ -20,6 +33,13 @@ const Promise = bluebird;
 const LIBREBOT = 'LibreBot';
 const ONE_SECOND = 1000;
 const MAX_CONCURRENT = 2;
+const MAX_EVENTS_PER_REQUEST = 10; // EventBridge limit
+const REVIEW_TAG = 'translation:needs-review';
+const SEGMENT_ELEMENTS = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'td', 'th', 'dt', 'dd', 'caption', 'figcaption'];
+const XLIFF_NAMESPACE = 'urn:oasis:names:tc:xliff:document:2.0';
+const XLIFF_UNIT_SELECTOR = [...SEGMENT_ELEMENTS, '[data-libre-pagetitle]', '[data-libre-attr-ref]'].join(', ');
+const XLIFF_BLOCK_PLACEHOLDER_NAME = 'libre-xliff-block';
+const XLIFF_BLOCK_PLACEHOLDER = `<${XLIFF_BLOCK_PLACEHOLDER_NAME}></${XLIFF_BLOCK_PLACEHOLDER_NAME}>`;
 
 let axiosInstance;
 let sourceLibName;
@@ -28,6 +48,20 @@ let sourceLibSecret;
 let targetLibName;
 let targetLibKey;
 let targetLibSecret;
+let savedPages = {};
+let failedPageCount = 0;
+let skippedPageCount = 0;
+let sourcePageKeys = new Set();
+let pageReport = {};
+let unresolvedLinks = {};
+let copiedAttachments = {};
+let protectionIssues = {};
+let translatedSegments = {};
+let ledger = null;
+let ledgerKey = null;
+let ledgerWrites = Promise.resolve();
+let ledgerLost = false;
+let reviewMode = null;
 
 /**
  * Object containing information about a CXone Expert page's special properties.
@@ -57,41 +91,157 @@ let targetLibSecret;
  * @property {string} [urlTitleExtract] - The source page's extract section title (if found).
  * @property {string} [summary] - The page's overview/summary text.
  * @property {PageProp[]} [props] - The page's special properties.
+ * @property {string} [contentHash] - A hash of the page's pre-processed source contents.
+ * @property {boolean} [unchanged] - Indicates the page is unchanged since it was last translated
+ *  to the same target, and its existing translation should be left untouched.
+ * @property {number} [previousTargetID] - The identifier of the page's translated counterpart
+ *  from a previous run, if any.
+ * @property {string} [previousTargetPath] - The path of the page's translated counterpart from a
+ *  previous run, relative to the target path.
+ * @property {number} [previousTargetRevision] - The revision of the page's translated counterpart
+ *  last saved by the engine, if any.
+ * @property {string[]} [protectedFragments] - The original HTML of each fragment of the page
+ *  (math, code, DekiScript templates, etc.) replaced with a placeholder to protect it from
+ *  translation, in placeholder order.
+ * @property {Object<string, string>} [memoryHits] - Cached translations of the page's segments
+ *  that were left out of the translation job, by segment hash.
  */
 
 /**
- * Configures a then-able program execution pause using setTimeout.
+ * A record of the pages ProcessTranslated created on the target library during a run, saved to
+ * S3 as pages are created so they can be rolled back, or skipped when resuming.
  *
- * @param {number} ms - The length of time (in milliseconds) to pause program execution.
- * @returns {Promise<Function>} The setTimeout for the number of specified milliseconds.
+ * @typedef {object} CreationLedger
+ * @property {string} [jobID] - The engine job identifier.
+ * @property {string} targetLib - The library pages are created on.
+ * @property {string} status - The run's status ('in-progress', 'completed', 'deleted',
+ *  or 'quarantined').
+ * @property {Object<string, object>} pages - Information about each created page (target
+ *  identifier, path, content hash, and revision), keyed by source lib-ID identifier. A page is
+ *  marked `complete` once its review restriction, tags, and properties have been saved.
+ * @property {object[]} [rolledBack] - Pages that were deleted or quarantined after a failure.
  */
-const snooze = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 /**
- * Verifies that a variable is a string and is non-empty (when whitespace is removed).
+ * The outcome of a single page in a job, as listed in the job's page report.
  *
- * @param {string} str - The string to check.
- * @returns {boolean} True if variable is a string and is non-emtpy, false if
- * non-empty or non-string.
+ * @typedef {object} PageReportEntry
+ * @property {string} pageKey - The source page's lib-ID identifier.
+ * @property {string} [title] - The source page's title.
+ * @property {string} status - The page's outcome: 'translated', 'untranslated' (saved as a copy
+ *  of the source text, since the local backend had no translation server), 'unchanged',
+ *  'skipped', 'mt-failed' (failed in machine translation), 'parse-failed' (translated output
+ *  couldn't be processed), 'save-failed', 'orphaned' (not saved because an ancestor wasn't), or
+ *  'removed' (translated by a previous run, but no longer part of the source text).
+ * @property {string} [error] - A description of the error encountered, if any.
+ * @property {string} [targetID] - The identifier of the page on the target library, if saved.
+ * @property {string[]} [unresolvedLinks] - Links in the page to other pages on the source
+ *  library that aren't part of the translated set, and were left unchanged.
+ * @property {string[]} [uncopiedFiles] - Files referenced by the page that couldn't be copied to
+ *  the target library, and are still linked from the source library.
+ * @property {object} [protectionIssues] - Protected fragments (math, code, etc.) whose
+ *  placeholders were lost or duplicated in translation.
+ * @property {string[]} protectionIssues.lost - Fragments missing from the saved page.
+ * @property {string[]} protectionIssues.duplicated - Fragments that appear more than once.
  */
-function isNonEmptyString(str) {
-  return typeof (str) === 'string' && str?.trim().length > 0;
-}
 
 /**
- * Accepts a Readable and returns its contents as a string.
+ * The result of copying a page's attachments to the target library.
  *
- * @param {Readable} stream - The stream to parse.
- * @returns {Promise<string>} The stream's contents.
+ * @typedef {object} AttachmentCopyResult
+ * @property {string} contents - The page's contents, with references pointing to the copies.
+ * @property {number} copiedCount - The number of files copied.
+ * @property {string[]} uncopied - The source URLs of files that couldn't be copied.
+ */
+
+/**
+ * Lookup tables from source library links to the identifiers of their translated counterparts.
+ *
+ * @typedef {object} LinkTargets
+ * @property {Map<string, string>} byID - Maps source page identifiers to target page identifiers.
+ * @property {Map<string, string>} byPath - Maps source page paths (decoded, without leading or
+ *  trailing slashes) to target page identifiers.
+ */
+
+/**
+ * Information about a page that already exists on the target library.
+ *
+ * @typedef {object} ExistingPage
+ * @property {string} id - The page's identifier on the target library.
+ * @property {number} revision - The page's current revision number.
+ * @property {string} [author] - The username of the page's last editor.
+ */
+
+/**
+ * Information about a page saved to the target library.
+ *
+ * @typedef {object} SavedPage
+ * @property {string} targetID - The identifier of the page on the target library.
+ * @property {string} relativePath - The page's path, relative to the target path.
+ * @property {string} [contentHash] - A hash of the page's pre-processed source contents.
+ * @property {number} [revision] - The page's revision number after the engine saved it.
+ */
+
+/**
+ * Information about a batch translation job, as reported by a translation provider.
+ *
+ * @typedef {object} TranslationJobDescription
+ * @property {string} status - The job's status (e.g. 'COMPLETED').
+ * @property {string} outputFolder - The S3 URI of the folder containing the job's output.
+ * @property {string[]} targetLangCodes - The language codes the job translated into.
+ */
+
+/**
+ * A machine translation backend that runs batch translation jobs. Providers save their output
+ * to the engine output bucket using the same layout and auxiliary details file as Amazon
+ * Translate.
+ *
+ * @typedef {object} TranslationProvider
+ * @property {string} name - The internal name of the provider.
+ * @property {function(string): Promise<TranslationJobDescription|null>} describeJob - Retrieves
+ *  the state of a job given the provider's job identifier.
+ * @property {function(S3Client, string): Promise<object|null>} fetchOutput - Retrieves and
+ *  parses the job's output details file.
+ */
+
+/**
+ * A translation held for review before publishing, saved to S3 until it is approved.
+ *
+ * @typedef {object} ReviewState
+ * @property {string} jobID - The engine job identifier of the run that saved the translation.
+ * @property {string} mode - How the translation is held: 'staging' (saved under a private
+ *  staging path) or 'tag' (saved in place, tagged and restricted).
+ * @property {string} targetLib - The library the text was translated to.
+ * @property {string} targetPath - The path the translation is published under once approved.
+ * @property {string} [stagingPath] - The path the translation is staged under, if staging.
+ * @property {SavedPage} [root] - The translation's root page.
+ * @property {string[]} pages - The identifiers of the pages held for review.
+ * @property {string} status - The review's status ('pending' or 'approved').
+ * @property {boolean} [moved] - Indicates the staged translation was moved to its final path.
+ * @property {string} updated - The time the state was last saved, in ISO format.
+ */
+
+/**
+ * A page's translatable unit in an XLIFF export, with its inline markup replaced by XLIFF
+ * inline codes.
+ *
+ * @typedef {object} XLIFFUnit
+ * @property {string} id - The unit's identifier, also marked on its element in the skeleton.
+ * @property {string} name - The name of the unit's HTML element.
+ * @property {string} source - The unit's pre-processed source content.
+ * @property {string} target - The unit's machine translated content.
+ * @property {Object<string, string>} data - The original HTML of each inline code, by data ID.
+ */
+
+/**
+ * The outcome of exporting a job's translation for one target language to XLIFF.
+ *
+ * @typedef {object} XLIFFExport
+ * @property {string} key - The S3 key of the XLIFF file in the output bucket.
+ * @property {number} pageCount - The number of pages exported.
+ * @property {number} unitCount - The number of translatable units exported.
+ * @property {string[]} skipped - The lib-ID identifiers of pages that couldn't be exported.
  */
-async function readableToString(stream) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    stream.on('data', (data) => chunks.push(Buffer.from(data)));
-    stream.on('error', reject);
-    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
-  });
-}
 
 /**
  * Assembles a url given an array of parts.
@@ -117,6 +267,67 @@ function assembleUrl(parts) {
   return url;
 }
 
+/**
+ * Parses a LibreTexts URL and extracts the subdomain and relative path.
+ *
+ * @param {string} url - The URL to parse.
+ * @returns {string[]} A 2-tuple containing the subdomain and path, or an empty array.
+ */
+function parseURL(url) {
+  if (isNonEmptyString(url) && url.match(/https?:\/\/.*?\.libretexts\.org/)) {
+    const pathArr = url.match(/(?<=https?:\/\/.*?\/).*/);
+    const path = pathArr ? pathArr[0] : '';
+    const subArr = url.match(/(?<=https?:\/\/).*?(?=\.)/);
+    const subdomain = subArr ? subArr[0] : '';
+    return [subdomain, path];
+  }
+  return [];
+}
+
+/**
+ * Attempts to determine a page's section numbering from its path.
+ *
+ * @param {string} path - The path of the page relative to the library's hostname.
+ * @returns {Array} A 3-tuple containing: success flag, section number URL prefix (if found),
+ *  extracted section title (if found).
+ */
+function parsePagePath(path) {
+  if (typeof (path) === 'string') {
+    const splitPath = path.split('/');
+    const relativePath = splitPath[splitPath.length - 1];
+    const splitPagePath = relativePath.split('%3A');
+    const numberPart = splitPagePath[0];
+    if (splitPagePath.length > 1 && /(\d|zz)/.test(numberPart)) { // 'zz' back matter numbering
+      const titlePart = splitPagePath[1]?.replaceAll('_', ' ').trim();
+      return [true, numberPart, titlePart];
+    }
+  }
+  return [false];
+}
+
+/**
+ * Extracts a page's tag values from information retreived from the CXone API.
+ *
+ * @param {object} tagsObj - An object containing page tags information.
+ * @returns {string[]} The page's tag values.
+ */
+function processTags(tagsObj) {
+  const processed = [];
+  const processSingle = (singleTag) => {
+    if (typeof (singleTag['@value']) === 'string') {
+      processed.push(singleTag['@value']);
+    }
+  };
+  if (typeof (tagsObj) === 'object' && tagsObj !== null) {
+    if (Array.isArray(tagsObj.tag)) {
+      tagsObj.tag.forEach(processSingle);
+    } else if (typeof (tagsObj.tag) === 'object') { // single tag
+      processSingle(tagsObj.tag);
+    }
+  }
+  return processed;
+}
+
 /**
  * Creates an XML string with a listing of CXone Expert page tags.
  *
@@ -240,16 +451,13 @@ async function retrieveLibraryParameters(src = false) {
 }
 
 /**
- * Queries the Translate API for the S3 URI of the translation job's output details file.
+ * Queries the Translate API for the state of a batch translation job.
  *
  * @param {string} jobID - The internal Translate job identifier.
- * @returns {Promise<string|null>} The output file S3 URI, or null if error encountered.
+ * @returns {Promise<TranslationJobDescription|null>} Information about the job, or null if
+ *  error encountered.
  */
-async function getTranslationDetailsURI(jobID) {
-  if (!isNonEmptyString(jobID)) {
-    console.error(`[RETRIEVE JOB FILE] Invalid jobID provided: "${jobID}".`);
-  }
-  console.log('[RETRIEVE JOB FILE] Retrieving translation job output URI...');
+async function describeAWSTranslationJob(jobID) {
   try {
     const transClient = new TranslateClient({
       credentials: {
@@ -264,14 +472,86 @@ async function getTranslationDetailsURI(jobID) {
     if (details.$metadata.httpStatusCode !== 200) {
       throw (new Error('Unknown error encountered using Translate API.'));
     }
-    const outputFolder = details.TextTranslationJobProperties.OutputDataConfig.S3Uri;
-    const outputLangCode = details.TextTranslationJobProperties.TargetLanguageCodes;
-    return `${outputFolder}details/${outputLangCode}.auxiliary-translation-details.json`;
+    const jobProps = details.TextTranslationJobProperties;
+    return {
+      status: jobProps.JobStatus,
+      outputFolder: jobProps.OutputDataConfig.S3Uri,
+      targetLangCodes: jobProps.TargetLanguageCodes,
+    };
+  } catch (e) {
+    console.error('[AWS TRANSLATE] Error describing job:');
+    console.error(e);
+  }
+  return null;
+}
+
+/**
+ * Retrieves the description of a job run by the local translation backend, saved to S3
+ * by StartTranslation.
+ *
+ * @param {string} jobID - The local job identifier.
+ * @returns {Promise<TranslationJobDescription|null>} Information about the job, or null if
+ *  error encountered.
+ */
+async function describeLocalTranslationJob(jobID) {
+  try {
+    const s3Client = new S3Client({
+      credentials: {
+        accessKeyId: process.env.AWS_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_S3_SECRET_ACCESS_KEY,
+      },
+      region: process.env.AWS_ENGINE_REGION,
+    });
+    const descContents = await getFileContents(
+      s3Client,
+      process.env.AWS_S3_OUTPUT_BUCKET,
+      `local-jobs/${jobID}.json`,
+    );
+    if (descContents === null) {
+      throw (new Error('Job description not found.'));
+    }
+    const jobDescription = JSON.parse(descContents);
+    return {
+      status: jobDescription.jobStatus,
+      outputFolder: jobDescription.outputDataConfig.S3Uri,
+      targetLangCodes: jobDescription.targetLanguageCodes,
+    };
   } catch (e) {
-    console.error('[RETRIEVE JOB FILE] Error retrieving job output URI:');
+    console.error('[LOCAL TRANSLATE] Error describing job:');
     console.error(e);
+  }
+  return null;
+}
+
+/**
+ * Queries the translation provider for the S3 URIs of the translation job's output details
+ * files, one for each target language.
+ *
+ * @param {TranslationProvider} provider - The provider that ran the translation job.
+ * @param {string} jobID - The provider's job identifier.
+ * @returns {Promise<Object<string, string>|null>} The output file S3 URIs, keyed by target
+ *  language code, or null if error encountered.
+ */
+async function getTranslationDetailsURIs(provider, jobID) {
+  if (!isNonEmptyString(jobID)) {
+    console.error(`[RETRIEVE JOB FILE] Invalid jobID provided: "${jobID}".`);
+    return null;
+  }
+  console.log(`[RETRIEVE JOB FILE] Retrieving translation job output URI from "${provider.name}"...`);
+  const jobDescription = await provider.describeJob(jobID);
+  if (jobDescription === null) {
+    console.error('[RETRIEVE JOB FILE] Error retrieving job output URI.');
+    return null;
+  }
+  if (jobDescription.status !== 'COMPLETED') {
+    console.error(`[RETRIEVE JOB FILE] Job has not completed (status "${jobDescription.status}").`);
     return null;
   }
+  const { outputFolder, targetLangCodes } = jobDescription;
+  return Object.fromEntries(targetLangCodes.map((langCode) => [
+    langCode,
+    `${outputFolder}details/${langCode}.auxiliary-translation-details.json`,
+  ]));
 }
 
 /**
@@ -349,6 +629,69 @@ async function retrieveTranslationJobDetails(s3Client, filename) {
     details,
     clientErrors,
     serverErrors,
+    untranslated: detailsFile.untranslated === true, // local backend without a server
+  };
+}
+
+/**
+ * The available machine translation backends, keyed by name.
+ *
+ * @type {Object<string, TranslationProvider>}
+ */
+const translationProviders = {
+  aws: {
+    name: 'aws',
+    describeJob: describeAWSTranslationJob,
+    fetchOutput: retrieveTranslationJobDetails,
+  },
+  local: {
+    name: 'local',
+    describeJob: describeLocalTranslationJob,
+    fetchOutput: retrieveTranslationJobDetails,
+  },
+};
+
+/**
+ * Retrieves the targets listed in the input metadata. Texts uploaded before multiple targets
+ * were supported list a single target, without a language, at the top level.
+ *
+ * @param {object} inputMetadata - Original Engine input metadata object.
+ * @returns {object[]} The text's targets, each with a language code (if known), library
+ *  shortname, path, and incremental flag.
+ */
+function getMetadataTargets(inputMetadata) {
+  if (Array.isArray(inputMetadata.targets)) {
+    return inputMetadata.targets;
+  }
+  const { targetLib, targetPath, incremental } = inputMetadata;
+  return [{
+    language: null,
+    targetLib,
+    targetPath,
+    incremental,
+  }];
+}
+
+/**
+ * Creates a view of the input metadata for a single target, with the target's location and
+ * each page's state relative to previous translations to the target.
+ *
+ * @param {object} inputMetadata - Original Engine input metadata object.
+ * @param {object} target - One of the targets listed in the input metadata.
+ * @returns {object} The input metadata for the target.
+ */
+function createTargetMetadata(inputMetadata, target) {
+  const { targetLib, targetPath, incremental } = target;
+  return {
+    ...inputMetadata,
+    targetLib,
+    targetPath,
+    incremental: incremental === true,
+    allPages: inputMetadata.allPages.map(({ targets, memoryHits, ...inputPage }) => ({
+      ...inputPage,
+      ...targets?.[target.language],
+      memoryHits: memoryHits?.[target.language],
+    })),
   };
 }
 
@@ -376,13 +719,15 @@ async function retrieveInputMetadata(s3Client, filename) {
   let metadata;
   try {
     metadata = JSON.parse(metaContents);
-    const { targetLib, targetPath, allPages } = metadata;
-    if (!isNonEmptyString(targetLib)) {
-      throw (new Error('Target Library not found or invalid.'));
-    }
-    if (!isNonEmptyString(targetPath)) {
-      throw (new Error('Target Path not found or invalid.'));
-    }
+    const { allPages } = metadata;
+    getMetadataTargets(metadata).forEach(({ targetLib, targetPath }) => {
+      if (!isNonEmptyString(targetLib)) {
+        throw (new Error('Target Library not found or invalid.'));
+      }
+      if (!isNonEmptyString(targetPath)) {
+        throw (new Error('Target Path not found or invalid.'));
+      }
+    });
     if (!Array.isArray(allPages)) {
       throw (new Error('Input pages not found or invalid.'));
     }
@@ -395,7 +740,7 @@ async function retrieveInputMetadata(s3Client, filename) {
 }
 
 /**
- * Sends a completion message to the email addresses specified in the original
+ * Sends a completion (or failure) message to the email addresses specified in the original
  * translation request, if applicable.
  *
  * @param {string[]} notifyAddrs - Email addresses to send the message to.
@@ -403,32 +748,101 @@ async function retrieveInputMetadata(s3Client, filename) {
  * @param {string} sourceID - The pageID of the original content root.
  * @param {string} targetLib - The LibreTexts library shortname the content was saved to.
  * @param {string} targetPath - The root path the content was saved under.
+ * @param {object} [runInfo] - Information about the translation run.
+ * @param {string} [runInfo.sourceLanguage] - The language code of the original content.
+ * @param {boolean} [runInfo.sourceLanguageDetected] - Indicates the source language was
+ *  detected automatically.
+ * @param {string} [runInfo.targetLanguage] - The language code of the translated content.
+ * @param {boolean} [runInfo.success=true] - Indicates the run completed without errors.
+ * @param {object} [runInfo.report] - The run's page report.
+ * @param {boolean} [runInfo.awaitingReview=false] - Indicates the content is held for review
+ *  and isn't public yet.
+ * @param {boolean} [runInfo.approved=false] - Indicates the content was approved and published
+ *  after review.
  * @returns {Promise<boolean>} True if message(s) were sent (or no emails specified),
  *  false otherwise.
  */
-async function sendCompletionNotification(notifyAddrs, sourceLib, sourceID, targetLib, targetPath) {
+async function sendCompletionNotification(
+  notifyAddrs,
+  sourceLib,
+  sourceID,
+  targetLib,
+  targetPath,
+  {
+    sourceLanguage,
+    sourceLanguageDetected,
+    targetLanguage,
+    success = true,
+    report,
+    awaitingReview = false,
+    approved = false,
+  } = {},
+) {
   if (!Array.isArray(notifyAddrs) || notifyAddrs.length < 1) {
     return true;
   }
   try {
     const origTextLink = `https://${sourceLib}.libretexts.org/@go/page/${sourceID}`;
     const trnsTextLink = assembleUrl([`https://${targetLib}.libretexts.org/`, targetPath]);
+    let languagesInfo = '';
+    if (isNonEmptyString(sourceLanguage) && isNonEmptyString(targetLanguage)) {
+      languagesInfo = `
+        <p>Source language: ${sourceLanguage}${sourceLanguageDetected ? ' (detected automatically)' : ''}<br/>
+          Target language: ${targetLanguage}
+        </p>
+      `;
+    }
+    let reportInfo = '';
+    if (report?.summary) {
+      const summaryItems = Object.entries(report.summary)
+        .filter(([, count]) => count > 0)
+        .map(([status, count]) => `<li>${status}: ${count}</li>`)
+        .join('');
+      const problemPages = report.pages.filter((page) => ['mt-failed', 'parse-failed', 'save-failed', 'orphaned'].includes(page.status));
+      const problemItems = problemPages.map((page) => `
+        <li>
+          <a href="https://${sourceLib}.libretexts.org/@go/page/${page.pageKey.split('-').pop()}" target="_blank" rel="noopener noreferrer">${page.title || page.pageKey}</a>:
+          ${page.status}${page.error ? ` (${page.error})` : ''}
+        </li>
+      `).join('');
+      reportInfo = `
+        <p>Page summary:</p>
+        <ul>${summaryItems}</ul>
+        ${problemItems ? `
+          <p>Pages with problems:</p>
+          <ul>${problemItems}</ul>
+          <p>The other pages were kept, and only these pages need to be retried.</p>
+        ` : ''}
+      `;
+    }
+    let subject = success
+      ? 'Polyglot Engine: Text Translation Complete'
+      : 'Polyglot Engine: Text Translation Encountered Errors';
+    let availability = 'The translated text should now be available under:';
+    if (approved) {
+      subject = 'Polyglot Engine: Translated Text Published';
+      availability = 'The translated text has been approved and published under:';
+    } else if (awaitingReview) {
+      availability = 'The translated text is awaiting review, and won\'t be public until it\'s approved. It can be reviewed under:';
+    }
     const sesClient = new SESv2Client();
     const emailRes = await sesClient.send(new SendEmailCommand({
       Content: {
         Simple: {
           Subject: {
-            Data: 'Polyglot Engine: Text Translation Complete',
+            Data: subject,
           },
           Body: {
             Html: {
               Data: `
                 <p>The Polyglot Engine has finished processing your request to translate 
-                  <a href="${origTextLink}" target="_blank" rel="noopener noreferrer">${sourceLib}-${sourceID}</a>.
+                  <a href="${origTextLink}" target="_blank" rel="noopener noreferrer">${sourceLib}-${sourceID}</a>${success ? '' : ', but encountered errors'}.
                 </p>
-                <p>The translated text should now be available under: 
+                <p>${availability} 
                   <a href="${trnsTextLink}" target="_blank" rel="noopener noreferrer">${trnsTextLink}</a>.
                 </p>
+                ${languagesInfo}
+                ${reportInfo}
               `,
             },
           },
@@ -452,28 +866,33 @@ async function sendCompletionNotification(notifyAddrs, sourceLib, sourceID, targ
 }
 
 /**
- * Retrieves translated content from S3 and performs post-translation processing on the content.
+ * Restores translated attribute text (alt, title, aria-label, etc.) that StartTranslation moved
+ * into translatable segments, then removes the helper markup.
  *
- * @param {S3Client} s3Client - An insantiated S3Client object.
- * @param {string} filename - The filename/key/path of the content to retrieve.
- * @returns {Promise<LibreTranslatedPage>} An object containing the parsed/extracted library,
+ * @param {cheerio.CheerioAPI} $ - The loaded translated contents.
+ */
+function restoreTranslatedAttributes($) {
+  $('[data-libre-attrs="true"] [data-libre-attr-ref]').each((_idx, elem) => {
+    const elemID = $(elem).attr('data-libre-attr-ref');
+    const attr = $(elem).attr('data-libre-attr-name');
+    const value = $(elem).text().trim();
+    if (isNonEmptyString(elemID) && isNonEmptyString(attr) && isNonEmptyString(value)) {
+      $(`[data-libre-attr-id="${elemID}"]`).attr(attr, value);
+    }
+  });
+  $('[data-libre-attrs="true"]').remove();
+  $('[data-libre-attr-id]').removeAttr('data-libre-attr-id');
+}
+
+/**
+ * Performs post-translation processing on a page's translated content, extracting the page's
+ * identity, title, and summary from their helper markup.
+ *
+ * @param {string} translatedContents - The translated HTML document.
+ * @returns {LibreTranslatedPage|null} An object containing the parsed/extracted library,
  * original pageID, translated title and contents, or null if error encountered.
  */
-async function retrieveAndProcessTranslatedContent(s3Client, filename) {
-  if (s3Client === null) {
-    console.error('[RETRIEVE+PROCESS] No S3 client provided.');
-    return null;
-  }
-  if (!isNonEmptyString(filename)) {
-    console.error(`[RETRIEVE+PROCESS] Invalid filename "${filename}".`);
-    return null;
-  }
-  console.log('[RETRIEVE+PROCESS] Retrieving and processing translated content...');
-  const translatedContents = await getFileContents(
-    s3Client,
-    process.env.AWS_S3_OUTPUT_BUCKET,
-    filename,
-  );
+function processTranslatedContent(translatedContents) {
   if (!isNonEmptyString(translatedContents)) {
     console.error('[RETRIEVE+PROCESS] Invalid contents provided.');
     return null;
@@ -498,6 +917,7 @@ async function retrieveAndProcessTranslatedContent(s3Client, filename) {
   }
   const translatedTitle = pageTitleSpan.text();
   pageTitleSpan.remove();
+  restoreTranslatedAttributes($);
   return {
     title: translatedTitle,
     contents: $.html(),
@@ -507,6 +927,224 @@ async function retrieveAndProcessTranslatedContent(s3Client, filename) {
   };
 }
 
+/**
+ * Retrieves translated content from S3 and performs post-translation processing on the content.
+ *
+ * @param {S3Client} s3Client - An insantiated S3Client object.
+ * @param {string} filename - The filename/key/path of the content to retrieve.
+ * @returns {Promise<LibreTranslatedPage>} An object containing the parsed/extracted library,
+ * original pageID, translated title and contents, or null if error encountered.
+ */
+async function retrieveAndProcessTranslatedContent(s3Client, filename) {
+  if (s3Client === null) {
+    console.error('[RETRIEVE+PROCESS] No S3 client provided.');
+    return null;
+  }
+  if (!isNonEmptyString(filename)) {
+    console.error(`[RETRIEVE+PROCESS] Invalid filename "${filename}".`);
+    return null;
+  }
+  console.log('[RETRIEVE+PROCESS] Retrieving and processing translated content...');
+  const translatedContents = await getFileContents(
+    s3Client,
+    process.env.AWS_S3_OUTPUT_BUCKET,
+    filename,
+  );
+  return processTranslatedContent(translatedContents);
+}
+
+/**
+ * Checks if the translation memory is enabled (it can be turned off by setting the
+ * TRANSLATION_MEMORY environment variable to 'off').
+ *
+ * @returns {boolean} True if the translation memory is enabled, false otherwise.
+ */
+function isTranslationMemoryEnabled() {
+  return process.env.TRANSLATION_MEMORY?.trim().toLowerCase() !== 'off';
+}
+
+/**
+ * Builds the key of one shard of the translation memory for a language pair. The key is the S3
+ * object key in the engine output bucket, or the filename in TRANSLATION_MEMORY_DIR if using a
+ * local store. Translations made with a glossary are kept in a separate memory for each glossary
+ * version.
+ *
+ * @param {string} sourceLanguage - The language code of the source segments.
+ * @param {string} targetLanguage - The language code of the translated segments.
+ * @param {string} shard - The shard's identifier (the first character of its segment hashes).
+ * @param {object} [glossary] - The name and version of the glossary the segments were
+ *  translated with, if any.
+ * @returns {string} The translation memory shard's key.
+ */
+function getTranslationMemoryKey(sourceLanguage, targetLanguage, shard, glossary = null) {
+  const glossarySuffix = glossary ? `.${glossary.name}-${glossary.version}` : '';
+  return `memory/${sourceLanguage}-${targetLanguage}${glossarySuffix}/${shard}.json`;
+}
+
+/**
+ * Adds newly translated segments to one shard of the translation memory for a language pair, in
+ * S3 or in the local file store if TRANSLATION_MEMORY_DIR is set. S3 writes are conditional on
+ * the shard being unchanged since it was read, so concurrent jobs can't overwrite each other's
+ * segments. The local store has no such guard, and must only be written by one process at a
+ * time (e.g., a single local run of the engine).
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {string} sourceLanguage - The language code of the source segments.
+ * @param {string} targetLanguage - The language code of the translated segments.
+ * @param {string} key - The translation memory shard's key.
+ * @param {Object<string, string>} segments - The translated segments to add, by source
+ *  segment hash.
+ * @returns {Promise<void>} Resolves once the shard has been written.
+ */
+async function saveTranslationMemoryShard(s3Client, sourceLanguage, targetLanguage, key, segments) {
+  const createShard = (existing) => ({
+    sourceLanguage,
+    targetLanguage,
+    updated: new Date().toISOString(),
+    segments: { ...existing?.segments, ...segments },
+  });
+  if (!isNonEmptyString(process.env.TRANSLATION_MEMORY_DIR)) {
+    await writeObjectConditionally(s3Client, key, createShard);
+    return;
+  }
+  const filePath = joinPath(process.env.TRANSLATION_MEMORY_DIR, key);
+  let existing = null;
+  try {
+    existing = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw e; // don't overwrite a shard that couldn't be read
+    }
+  }
+  await fs.mkdir(dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(createShard(existing)));
+}
+
+/**
+ * Adds newly translated segments to the translation memory for a language pair. The memory is
+ * split into shards by the first character of each segment hash, and only the shards with new
+ * segments are updated.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {string} sourceLanguage - The language code of the source segments.
+ * @param {string} targetLanguage - The language code of the translated segments.
+ * @param {Object<string, string>} segments - The translated segments to add, by source
+ *  segment hash.
+ * @param {object} [glossary] - The name and version of the glossary the text was translated
+ *  with, if any.
+ * @returns {Promise<boolean>} True if the memory was updated (or there was nothing to add),
+ *  false if any shard couldn't be updated.
+ */
+async function saveTranslationMemory(
+  s3Client,
+  sourceLanguage,
+  targetLanguage,
+  segments,
+  glossary = null,
+) {
+  if (Object.keys(segments).length === 0) {
+    return true;
+  }
+  const shards = {};
+  Object.entries(segments).forEach(([hash, translation]) => {
+    const shard = hash.charAt(0);
+    shards[shard] = { ...shards[shard], [hash]: translation };
+  });
+  const saved = await async.mapSeries(Object.entries(shards), async ([shard, shardSegments]) => {
+    const key = getTranslationMemoryKey(sourceLanguage, targetLanguage, shard, glossary);
+    try {
+      await saveTranslationMemoryShard(
+        s3Client,
+        sourceLanguage,
+        targetLanguage,
+        key,
+        shardSegments,
+      );
+      console.log(`[TRANSLATION MEMORY] Saved ${Object.keys(shardSegments).length} segments to "${key}".`);
+      return true;
+    } catch (e) {
+      console.warn(`[TRANSLATION MEMORY] Warning: Error saving memory "${key}":`);
+      console.warn(e);
+    }
+    return false;
+  });
+  return saved.every((shardSaved) => shardSaved);
+}
+
+/**
+ * Fills the segments StartTranslation left out of the translation job with their cached
+ * translations, and records the freshly translated segments to add to the translation memory.
+ *
+ * @param {LibreTranslatedPage} page - The translated page, with its contents.
+ * @param {Object<string, string>} [memoryHits] - The cached translations used, by segment hash.
+ * @returns {string} The contents with all segments translated and segment markers removed.
+ */
+function mergeMemorySegments(page, memoryHits) {
+  if (!page.contents.includes('data-libre-segment')) {
+    return page.contents;
+  }
+  const $ = cheerio.load(page.contents, { decodeEntities: true }, false);
+  $('[data-libre-segment]').each((_idx, elem) => {
+    const $elem = $(elem);
+    const hash = $elem.attr('data-libre-segment');
+    if (typeof (memoryHits?.[hash]) === 'string' && $elem.attr('translate') === 'no') {
+      $elem.html(memoryHits[hash]).removeAttr('translate');
+    } else if (isTranslationMemoryEnabled() && $elem.text().trim().length > 0) {
+      translatedSegments[hash] = $elem.html();
+    }
+    $elem.removeAttr('data-libre-segment');
+  });
+  return $.html();
+}
+
+/**
+ * Replaces the placeholders StartTranslation swapped in for protected fragments (math, code,
+ * DekiScript templates, etc.) with the fragments' original HTML. Placeholders lost or duplicated
+ * by the translation provider are recorded for the page report.
+ *
+ * @param {LibreTranslatedPage} page - The translated page, with its contents.
+ * @param {string[]} [fragments] - The original HTML of each fragment, in placeholder order.
+ * @returns {string} The contents with the fragments restored.
+ */
+function restoreProtectedFragments(page, fragments) {
+  if (!Array.isArray(fragments) || fragments.length === 0) {
+    return page.contents;
+  }
+  const seen = fragments.map(() => 0);
+  let { contents } = page;
+  let previous = null;
+  /* Fragments can nest (e.g. a template inside inline code), so restore until none are left */
+  while (contents !== previous) {
+    previous = contents;
+    contents = previous.replace(
+      /<span\b[^>]*\bdata-libre-protected="(\d+)"[^>]*>[^<]*<\/span>/g,
+      (match, idx) => {
+        const fragmentIdx = Number.parseInt(idx, 10);
+        if (fragments[fragmentIdx] === undefined) {
+          return match;
+        }
+        seen[fragmentIdx] += 1;
+        return fragments[fragmentIdx];
+      },
+    );
+  }
+  const lost = [];
+  const duplicated = [];
+  seen.forEach((count, idx) => {
+    if (count === 0) {
+      lost.push(fragments[idx]);
+    } else if (count > 1) {
+      duplicated.push(fragments[idx]);
+    }
+  });
+  if (lost.length > 0 || duplicated.length > 0) {
+    const pageKey = `${page.lib}-${page.id}`;
+    console.warn(`[RESTORE FRAGMENTS] Warning: ${lost.length} protected fragments lost and ${duplicated.length} duplicated in ${pageKey}.`);
+    protectionIssues[pageKey] = { lost, duplicated };
+  }
+  return contents;
+}
+
 /**
  * Recursively creates a hierarchical page structure by examining "subpage" or "parent" references.
  *
@@ -548,7 +1186,7 @@ function mergeInputStructure(inputMetadata, translatedPages) {
   }
   console.log('[MERGE STRUCTURE] Merging input structure...');
   /* Retrieve more information from the input structure and add it to the translated data */
-  const pagesData = translatedPages.map((page) => {
+  const pagesData = translatedPages.filter((page) => page !== null).map((page) => {
     const foundInput = inputMetadata.allPages.find((inputPage) => (
       page.lib === inputPage.lib && page.id === inputPage.id
     ));
@@ -561,10 +1199,21 @@ function mergeInputStructure(inputMetadata, translatedPages) {
         path,
         urlNumPrefix,
         urlTitleExtract,
+        contentHash,
+        unchanged,
+        previousTargetID,
+        previousTargetPath,
+        previousTargetRevision,
+        protectedFragments,
+        memoryHits,
       } = foundInput;
       /* don't override translated metadata */
       return {
         ...page,
+        contents: restoreProtectedFragments(
+          { ...page, contents: mergeMemorySegments(page, memoryHits) },
+          protectedFragments,
+        ),
         root,
         parent,
         tags,
@@ -572,11 +1221,28 @@ function mergeInputStructure(inputMetadata, translatedPages) {
         path,
         urlNumPrefix,
         urlTitleExtract,
+        contentHash,
+        unchanged,
+        previousTargetID,
+        previousTargetPath,
+        previousTargetRevision,
       };
     }
     console.warn(`[MERGE STRUCTURE] WARNING: Matching pages not found for ${page.lib}-${page.id}`);
     return null;
   }).filter((page) => page !== null);
+  /*
+   * Pages unchanged since a previous run weren't translated (unless they changed for another
+   * target language), but anchor their subpages
+   */
+  inputMetadata.allPages.forEach((inputPage) => {
+    const translated = pagesData.some((page) => (
+      page.lib === inputPage.lib && page.id === inputPage.id
+    ));
+    if (inputPage.unchanged === true && !translated) {
+      pagesData.push({ ...inputPage });
+    }
+  });
   /* Create the hierarchical structure */
   const rootPage = pagesData.find((page) => page.root === true);
   if (rootPage === undefined) {
@@ -587,27 +1253,149 @@ function mergeInputStructure(inputMetadata, translatedPages) {
 }
 
 /**
- * Copies the CXone Expert page thumbnail file from one page ("source") to another ("target"),
- * potentially cross-library.
+ * Extracts the name of a file from its URL on a library. The name is the last path segment,
+ * except in the "/@api/deki/pages/{id}/files/={name}" form, where it's prefixed with "=" and
+ * encoded twice (like page paths in the API).
  *
- * @param {object} source - Information about the source page.
- * @param {string} source.sourceLib - The internal library shortname/identifier of the source page.
- * @param {string} source.sourceID - The page identifier "number" of the source page.
- * @param {object} target - Information about the target page.
- * @param {string} target.targetLib - The internal library shortname/identifier of the target page.
- * @param {string} target.targetID - The page identifier "number" of the target page.
- * @returns {Promise<boolean>} True if thumbnail copy succeeded, false otherwise.
+ * @param {URL} fileURL - The URL of the file on the library.
+ * @returns {string} The file's decoded name.
  */
-async function copyPageThumbnail({ sourceLib, sourceID }, { targetLib, targetID }) {
-  if (!isNonEmptyString(sourceLib) || !isNonEmptyString(sourceID)) {
-    console.error(`[COPY THUMBNAIL] Invalid source information "${sourceLib}-${sourceID}".`);
-    return false;
+function getAttachmentFileName(fileURL) {
+  const lastSegment = fileURL.pathname.split('/').pop();
+  if (!lastSegment.startsWith('=')) {
+    return decodeURIComponent(lastSegment);
   }
-  if (!isNonEmptyString(targetLib) || !isNonEmptyString(targetID)) {
-    console.error(`[COPY THUMBNAIL] Invalid target information: "${targetLib}-${targetID}".`);
+  const fileName = decodeURIComponent(lastSegment.slice(1));
+  try {
+    return decodeURIComponent(fileName);
+  } catch (e) {
+    return fileName; // only encoded once
   }
+}
+
+/**
+ * Copies a file hosted on the source library to a page on the target library.
+ *
+ * @param {URL} fileURL - The URL of the file on the source library.
+ * @param {string} sourceLib - The internal library shortname/identifier of the source library.
+ * @param {string} targetLib - The internal library shortname/identifier of the target library.
+ * @param {string} targetID - The page identifier "number" of the page to attach the file to.
+ * @returns {Promise<string|null>} The relative URL of the copied file on the target library, or
+ *  null if error encountered.
+ */
+async function copyAttachment(fileURL, sourceLib, targetLib, targetID) {
   try {
-    const srcReqHeaders = generateAPIRequestHeaders(sourceLib);
+    const fileName = getAttachmentFileName(fileURL);
+    if (!isNonEmptyString(fileName)) {
+      throw (new Error('File name not found.'));
+    }
+    const fileRes = await axiosInstance.get(fileURL.toString(), {
+      headers: generateAPIRequestHeaders(sourceLib),
+      responseType: 'arraybuffer',
+    });
+    if (fileRes.status !== 200 || !fileRes.data) {
+      throw (new Error(`Error retrieving file (status ${fileRes.status}).`));
+    }
+    const finalName = encodeURIComponent(encodeURIComponent(fileName));
+    const uploadRes = await axiosInstance.put(
+      `https://${targetLib}.libretexts.org/@api/deki/pages/${targetID}/files/=${finalName}?dream.out.format=json`,
+      fileRes.data,
+      {
+        headers: {
+          ...generateAPIRequestHeaders(targetLib),
+          'Content-Type': fileRes.headers['content-type'] || 'application/octet-stream',
+        },
+      },
+    );
+    const fileID = uploadRes.data?.['@id'];
+    if (!isNonEmptyString(fileID)) {
+      throw (new Error('New file ID is missing or invalid.'));
+    }
+    return `/@api/deki/files/${fileID}/${encodeURIComponent(fileName)}`;
+  } catch (e) {
+    console.warn(`[COPY ATTACHMENT] Warning: Error copying "${fileURL}" to "${targetLib}-${targetID}":`);
+    console.warn(e.message);
+  }
+  return null;
+}
+
+/**
+ * Copies every file referenced in a page's contents that's hosted on the source library (images,
+ * PDFs, data files, etc.) to the page's counterpart on the target library, and rewrites the
+ * references to point at the copies. Files that can't be copied are still linked from the
+ * source library.
+ *
+ * @param {LibreTranslatedPage} page - The page information object.
+ * @param {string} targetLib - The internal library shortname/identifier of the target library.
+ * @param {string} targetID - The page identifier "number" of the target page.
+ * @returns {Promise<AttachmentCopyResult>} The updated contents and the copy results.
+ */
+async function copyPageAttachments(page, targetLib, targetID) {
+  const sourceHost = `${page.lib}.libretexts.org`;
+  const $ = cheerio.load(page.contents, { decodeEntities: true }, false);
+  const fileRefs = [];
+  ['src', 'href', 'data', 'poster'].forEach((attr) => {
+    $(`[${attr}]`).each((_idx, elem) => {
+      let refURL;
+      try {
+        refURL = new URL($(elem).attr(attr).trim());
+      } catch (e) {
+        return; // relative or malformed, not absolutified from the source library
+      }
+      if (
+        refURL.hostname === sourceHost
+        && /^\/@api\/deki\/(files|pages\/\d+\/files)\//.test(refURL.pathname)
+      ) {
+        fileRefs.push({ elem, attr, refURL });
+      }
+    });
+  });
+  const copies = new Map();
+  const uncopied = [];
+  await async.eachLimit(fileRefs, 1, async ({ elem, attr, refURL }) => {
+    const refKey = refURL.toString();
+    if (!copies.has(refKey)) {
+      copies.set(refKey, await copyAttachment(refURL, page.lib, targetLib, targetID));
+    }
+    const copyURL = copies.get(refKey);
+    if (copyURL === null) {
+      if (!uncopied.includes(refKey)) {
+        uncopied.push(refKey);
+      }
+      return;
+    }
+    $(elem).attr(attr, `${copyURL}${refURL.hash}`);
+  });
+  const copiedCount = [...copies.values()].filter((copyURL) => copyURL !== null).length;
+  return {
+    contents: copiedCount > 0 ? $.html() : page.contents,
+    copiedCount,
+    uncopied,
+  };
+}
+
+/**
+ * Copies the CXone Expert page thumbnail file from one page ("source") to another ("target"),
+ * potentially cross-library.
+ *
+ * @param {object} source - Information about the source page.
+ * @param {string} source.sourceLib - The internal library shortname/identifier of the source page.
+ * @param {string} source.sourceID - The page identifier "number" of the source page.
+ * @param {object} target - Information about the target page.
+ * @param {string} target.targetLib - The internal library shortname/identifier of the target page.
+ * @param {string} target.targetID - The page identifier "number" of the target page.
+ * @returns {Promise<boolean>} True if thumbnail copy succeeded, false otherwise.
+ */
+async function copyPageThumbnail({ sourceLib, sourceID }, { targetLib, targetID }) {
+  if (!isNonEmptyString(sourceLib) || !isNonEmptyString(sourceID)) {
+    console.error(`[COPY THUMBNAIL] Invalid source information "${sourceLib}-${sourceID}".`);
+    return false;
+  }
+  if (!isNonEmptyString(targetLib) || !isNonEmptyString(targetID)) {
+    console.error(`[COPY THUMBNAIL] Invalid target information: "${targetLib}-${targetID}".`);
+  }
+  try {
+    const srcReqHeaders = generateAPIRequestHeaders(sourceLib);
     const trgtReqHeaders = generateAPIRequestHeaders(targetLib);
     const sourceURL = `https://${sourceLib}.libretexts.org/@api/deki/pages/${sourceID}/files/=mindtouch.page%2523thumbnail`;
     const filesReq = await axiosInstance.get(sourceURL, { headers: srcReqHeaders, responseType: 'arraybuffer' });
@@ -640,18 +1428,47 @@ async function copyPageThumbnail({ sourceLib, sourceID }, { targetLib, targetID
  * @param {LibreTranslatedPage} page - The page information object.
  * @param {string} rootURL - The base URL of the library's pages API.
  * @param {string} newPageID - The identifier of the newly created library page to work on.
+ * @param {boolean} [reconcile=false] - Reconciles the properties of an existing page: updates
+ *  existing properties and removes properties the source page no longer has.
  * @returns {Promise<boolean>} Returns true if save attempted (errors are logged).
  */
-async function savePageProperties(trgtReqHeaders, targetLib, page, rootURL, newPageID) {
+async function savePageProperties(
+  trgtReqHeaders,
+  targetLib,
+  page,
+  rootURL,
+  newPageID,
+  reconcile = false,
+) {
   try {
     const reqTokenHeaders = trgtReqHeaders || generateAPIRequestHeaders(targetLib);
+    const existingEtags = {};
+    if (reconcile) {
+      const existingRes = await axiosInstance.get(`${rootURL}${newPageID}/properties?dream.out.format=json`, {
+        headers: reqTokenHeaders,
+      });
+      let existingProps = existingRes.data?.property || [];
+      if (!Array.isArray(existingProps)) {
+        existingProps = [existingProps]; // single property
+      }
+      existingProps.forEach((prop) => {
+        if (isNonEmptyString(prop['@name']) && !prop['@name'].includes('editedby')) {
+          existingEtags[prop['@name']] = prop['@etag'];
+        }
+      });
+    }
+    const newPropNames = [];
     let propEntries = '';
-    const addPropEntry = (currEntries, { newKey, newValue }) => `
-      ${currEntries}
-      <property name="${newKey}">
-        <contents type="text/plain; charset=utf-8;">${newValue}</contents>
-      </property>
-    `;
+    const addPropEntry = (currEntries, { newKey, newValue }) => {
+      newPropNames.push(newKey);
+      const etag = existingEtags[newKey];
+      return `
+        ${currEntries}
+        <property name="${newKey}"${etag ? ` etag="${xmlEscape(etag)}"` : ''}>
+          <contents type="text/plain; charset=utf-8;">${newValue}</contents>
+        </property>
+      `;
+    };
     if (Array.isArray(page.props)) {
       for (let i = 0, n = page.props.length; i < n; i += 1) {
         const currProp = page.props[i];
@@ -681,6 +1498,13 @@ async function savePageProperties(trgtReqHeaders, targetLib, page, rootURL, newP
         throw (new Error(updatePropsRes));
       }
     }
+    const staleProps = Object.keys(existingEtags).filter((name) => !newPropNames.includes(name));
+    await async.eachSeries(staleProps, async (propName) => {
+      await axiosInstance.delete(
+        `${rootURL}${newPageID}/properties/${encodeURIComponent(encodeURIComponent(propName))}`,
+        { headers: reqTokenHeaders },
+      );
+    });
   } catch (e) {
     console.warn(`[SAVE PAGE PROPS] Warning: Error saving properties to new page ${targetLib}-${newPageID}:`);
     console.warn(e);
@@ -702,7 +1526,11 @@ async function savePageProperties(trgtReqHeaders, targetLib, page, rootURL, newP
 async function savePageTags(trgtReqHeaders, targetLib, page, rootURL, newPageID) {
   try {
     const reqTokenHeaders = trgtReqHeaders || generateAPIRequestHeaders(targetLib);
-    const newPageTags = createTagsXML([...page.tags, `source[translate]-${page.lib}-${page.id}`]);
+    const newPageTags = createTagsXML([
+      ...page.tags,
+      `source[translate]-${page.lib}-${page.id}`,
+      ...(reviewMode !== null ? [REVIEW_TAG] : []),
+    ]);
     const updateTagsRes = await axiosInstance.put(`${rootURL}${newPageID}/tags`, newPageTags, {
       headers: {
         ...reqTokenHeaders,
@@ -720,183 +1548,2299 @@ async function savePageTags(trgtReqHeaders, targetLib, page, rootURL, newPageID)
 }
 
 /**
- * Recursively saves a page and its subpages to the provided target LibreTexts library. Page paths
- *  are built up from the 'root' relative path using the parentPath parameter.
+ * Sets a target library page's restriction (e.g., 'Private' while held for review, and 'Public'
+ * once approved), without changing its subpages or grants (best-effort).
  *
- * @param {LibreTranslatedPage} page - The page to save to the target library.
- * @param {object} target - An object with information about where to save the content.
- * @param {string} target.targetLib - The LibreTexts library shortname to save the content to.
- * @param {string} target.targetPath - The root path to save the hierarchy under.
- * @param {string} [target.parentPath=''] - The relative path of the page's parent to
- *  prepend to the current page's path.
- * @returns {Promise<boolean>} True if save succeeded, false otherwise.
+ * @param {object} [trgtReqHeaders] - Headers (and auth token) to pass to CXone Expert API
+ *  requests (towards the target).
+ * @param {string} targetLib - The internal library shortname/identifier of the target page.
+ * @param {string} rootURL - The base URL of the library's pages API.
+ * @param {string} pageID - The identifier of the library page to work on.
+ * @param {string} restriction - The restriction to set.
+ * @returns {Promise<boolean>} True if the restriction was set, false otherwise.
  */
-async function saveToLibrary(page, { targetLib, targetPath, parentPath = '' }) {
+async function setPageRestriction(trgtReqHeaders, targetLib, rootURL, pageID, restriction) {
   try {
-    if (!page) {
-      throw (new Error('Page data not provided or invalid.'));
-    }
-    if (!isNonEmptyString(targetLib)) {
-      throw (new Error('Target library not provided or invalid.'));
-    }
-    if (!isNonEmptyString(targetPath)) {
-      throw (new Error('Target path not provided or invalid.'));
+    const reqTokenHeaders = trgtReqHeaders || generateAPIRequestHeaders(targetLib);
+    const securityRes = await axiosInstance.post(
+      `${rootURL}${pageID}/security?cascade=none`,
+      `<security><permissions.page><restriction>${restriction}</restriction></permissions.page></security>`,
+      {
+        headers: {
+          ...reqTokenHeaders,
+          'Content-Type': 'text/xml; charset=utf-8;',
+        },
+      },
+    );
+    if (securityRes.status !== 200) {
+      throw (new Error(securityRes));
     }
-    console.log(`[SAVE TRANSLATED PAGE] ${page.lib}-${page.id}`);
-    const root = `https://${targetLib}.libretexts.org/@api/deki/pages/`;
-    const reqTokenHeaders = generateAPIRequestHeaders(targetLib);
+    return true;
+  } catch (e) {
+    console.warn(`[PAGE RESTRICTION] Warning: Error setting restriction of page ${targetLib}-${pageID}:`);
+    console.warn(e);
+  }
+  return false;
+}
 
-    const trimTitle = page.title.trim();
-    let newPagePath = trimTitle;
-    let newPageURLTitle = trimTitle;
-    if (isNonEmptyString(page.urlNumPrefix)) {
-      const splitTitle = newPageURLTitle.split(':');
-      if (splitTitle.length > 1) {
-        newPageURLTitle = splitTitle[1].trim();
-      }
-      newPagePath = `${page.urlNumPrefix}: ${newPageURLTitle}`;
+/**
+ * Removes the review tag from a target library page once its translation is approved.
+ *
+ * @param {string} targetLib - The internal library shortname/identifier of the target page.
+ * @param {string} rootURL - The base URL of the library's pages API.
+ * @param {string} pageID - The identifier of the library page to work on.
+ * @returns {Promise<boolean>} True if the tag was removed (or not found), false otherwise.
+ */
+async function removeReviewTag(targetLib, rootURL, pageID) {
+  try {
+    const reqTokenHeaders = generateAPIRequestHeaders(targetLib);
+    const tagsRes = await axiosInstance.get(`${rootURL}${pageID}/tags?dream.out.format=json`, {
+      headers: reqTokenHeaders,
+    });
+    const tags = processTags(tagsRes.data);
+    if (!tags.includes(REVIEW_TAG)) {
+      return true;
     }
-    newPagePath = newPagePath.replaceAll(' ', '_');
-
-    const pagePath = assembleUrl([targetPath, parentPath, newPagePath]);
-    const finalPath = encodeURIComponent(encodeURIComponent(pagePath));
-    const createPageRes = await axiosInstance.post(
-      `${root}=${finalPath}/contents?title=${encodeURIComponent(trimTitle)}&edittime=now&abort=exists&dream.out.format=json`,
-      page.contents.trim(),
+    const updateTagsRes = await axiosInstance.put(
+      `${rootURL}${pageID}/tags`,
+      createTagsXML(tags.filter((tag) => tag !== REVIEW_TAG)),
       {
         headers: {
           ...reqTokenHeaders,
-          'Content-Type': 'text/plain; charset=utf-8;',
+          'Content-Type': 'text/xml; charset=utf-8;',
         },
       },
     );
-    const pageCreateData = createPageRes?.data;
-    if (pageCreateData['@status'] !== 'success') {
-      throw (new Error(pageCreateData));
-    }
-    await snooze(2 * ONE_SECOND);
-    const newPageData = pageCreateData.page;
-    const newPageID = newPageData['@id'];
-    if (!isNonEmptyString(newPageID)) {
-      throw (new Error('New PageID is missing or invalid.'));
-    }
-    await savePageTags(reqTokenHeaders, targetLib, page, root, newPageID);
-    await snooze(2 * ONE_SECOND);
-    await savePageProperties(reqTokenHeaders, targetLib, page, root, newPageID);
-    await snooze(2 * ONE_SECOND);
-    if (Array.isArray(page.subpages)) {
-      await async.eachLimit(page.subpages, MAX_CONCURRENT, async (subpage) => {
-        const subpathData = {
-          parentPath: assembleUrl([parentPath, newPagePath]),
-          targetLib,
-          targetPath,
-        };
-        await saveToLibrary(subpage, subpathData);
-      });
-    }
-    if (page.tags?.includes('article:topic-category') || page.tags?.includes('article:topic-guide')) {
-      await snooze(ONE_SECOND);
-      await copyPageThumbnail(
-        { sourceLib: page.lib, sourceID: page.id },
-        { targetID: newPageID, targetLib },
-      );
+    if (updateTagsRes.status !== 200) {
+      throw (new Error(updateTagsRes));
     }
     return true;
   } catch (e) {
-    console.error('[SAVE TRANSLATED PAGE] Error encountered while saving page:');
-    console.error(JSON.stringify(e, null, 2));
-    console.error(JSON.stringify(e.response?.data, null, 2));
+    console.warn(`[REVIEW TAG] Warning: Error removing review tag from page ${targetLib}-${pageID}:`);
+    console.warn(e);
   }
   return false;
 }
 
 /**
- * Main driver function for processing translated content and saving it to a LibreTexts library.
+ * Retrieves information about a target library page's direct subpages.
  *
- * @param {object} eventDetails - The Lambda trigger event details.
- * @returns {Promise<boolean>} True if process succeeded, false otherwise.
+ * @param {string} targetLib - The internal library shortname/identifier of the target library.
+ * @param {string} path - The path of the page, relative to the library hostname.
+ * @returns {Promise<object[]>} Objects containing each subpage's identifier and path.
  */
-async function processTranslated(eventDetails) {
-  if (!isNonEmptyString(eventDetails.jobId)) {
-    console.error('[PROCESS TRANSLATED] Initating job identifier found or invalid.');
-    return false;
+async function getTargetSubpages(targetLib, path) {
+  const root = `https://${targetLib}.libretexts.org/@api/deki/pages/`;
+  const subpagesRes = await axiosInstance.get(
+    `${root}=${encodeURIComponent(encodeURIComponent(path))}/subpages?limit=all&dream.out.format=json`,
+    { headers: generateAPIRequestHeaders(targetLib) },
+  );
+  let subpages = subpagesRes.data?.['page.subpage'];
+  if (!subpages) {
+    return [];
   }
-  if (!axiosInstance) {
-    axiosInstance = axios.create({
-      httpsAgent: new https.Agent({ keepAlive: true }),
+  if (!Array.isArray(subpages)) {
+    subpages = [subpages]; // single subpage
+  }
+  return subpages.map((subpage) => {
+    const [, subPath] = parseURL(subpage['uri.ui']);
+    return { id: subpage['@id'], path: decodeURIComponent(subPath) };
+  });
+}
+
+/**
+ * Finds the path of the page in an existing translated text that a translated subtree should be
+ * saved under, by following the source subtree's ancestry. Each ancestor's counterpart is
+ * matched by section number prefix, falling back to the engine's source tag.
+ *
+ * @param {string} targetLib - The internal library shortname/identifier of the target library.
+ * @param {string} targetPath - The path of the translated text's coverpage.
+ * @param {LibreTranslatedPage[]} ancestry - The subtree root's ancestors in the source text,
+ *  starting with the coverpage.
+ * @returns {Promise<string|null>} The path of the page to save the subtree under, or null if
+ *  the translated text's structure doesn't match.
+ */
+async function resolveGraftPath(targetLib, targetPath, ancestry) {
+  let currPath = targetPath;
+  try {
+    /* coverpage maps to targetPath */
+    await async.eachSeries(ancestry.slice(1), async (ancestor) => {
+      console.log(`[RESOLVE GRAFT] Finding counterpart of ${ancestor.lib}-${ancestor.id} under ${currPath}`);
+      const subpages = await getTargetSubpages(targetLib, currPath);
+      let match;
+      if (isNonEmptyString(ancestor.urlNumPrefix)) {
+        match = subpages.find((subpage) => {
+          const [couldParse, sectionNum] = parsePagePath(encodeURIComponent(subpage.path.split('/').pop()));
+          return couldParse && sectionNum === ancestor.urlNumPrefix;
+        });
+      }
+      if (!match) {
+        const sourceTag = `source[translate]-${ancestor.lib}-${ancestor.id}`;
+        match = await async.detectSeries(subpages, async (subpage) => {
+          const tagsRes = await axiosInstance.get(
+            `https://${targetLib}.libretexts.org/@api/deki/pages/${subpage.id}/tags?dream.out.format=json`,
+            { headers: generateAPIRequestHeaders(targetLib) },
+          );
+          return processTags(tagsRes.data).includes(sourceTag);
+        });
+      }
+      if (!match) {
+        throw (new Error(`Counterpart of ${ancestor.lib}-${ancestor.id} not found under "${currPath}".`));
+      }
+      currPath = match.path;
     });
+    return currPath;
+  } catch (e) {
+    console.error('[RESOLVE GRAFT] Error resolving subtree position in translated text:');
+    console.error(e);
   }
+  return null;
+}
 
-  const transOutputURI = await getTranslationDetailsURI(eventDetails.jobId);
-  if (transOutputURI === null) {
-    return false; // error logged in previous call
+/**
+ * Retrieves information about a page on the target library, if it exists.
+ *
+ * @param {string} targetLib - The internal library shortname/identifier of the target library.
+ * @param {string} pathOrID - The page's path (relative to the library hostname), or its
+ *  identifier number.
+ * @returns {Promise<ExistingPage|null>} Information about the page, or null if it doesn't exist.
+ */
+async function getExistingTargetPage(targetLib, pathOrID) {
+  const pageRef = /^\d+$/.test(pathOrID)
+    ? pathOrID
+    : `=${encodeURIComponent(encodeURIComponent(pathOrID))}`;
+  try {
+    const pageRes = await axiosInstance.get(
+      `https://${targetLib}.libretexts.org/@api/deki/pages/${pageRef}?dream.out.format=json`,
+      { headers: generateAPIRequestHeaders(targetLib) },
+    );
+    return {
+      id: pageRes.data['@id'],
+      revision: Number.parseInt(pageRes.data['@revision'], 10),
+      author: pageRes.data['user.author']?.username,
+    };
+  } catch (e) {
+    if (e.response?.status === 404) {
+      return null;
+    }
+    throw e;
   }
-  const s3Client = new S3Client({
-    credentials: {
-      accessKeyId: process.env.AWS_S3_ACCESS_KEY_ID,
-      secretAccessKey: process.env.AWS_S3_SECRET_ACCESS_KEY,
-    },
-    region: process.env.AWS_ENGINE_REGION,
-  });
-  const jobMetadata = await retrieveTranslationJobDetails(s3Client, transOutputURI);
-  if (jobMetadata === null) {
-    return false; // error logged in previous call
+}
+
+/**
+ * Determines whether an existing target page may be overwritten under the job's write policy.
+ * Under 'overwrite-if-unedited', the page's latest revision must have been made by the engine,
+ * and must match the revision the engine last saved (when known).
+ *
+ * @param {ExistingPage} existing - Information about the existing page.
+ * @param {string} writePolicy - The job's write policy.
+ * @param {number} [engineRevision] - The revision the engine last saved to the page, if known.
+ * @returns {boolean} True if the page may be overwritten, false if it should be skipped.
+ */
+function canOverwritePage(existing, writePolicy, engineRevision) {
+  if (writePolicy === 'overwrite') {
+    return true;
   }
-  const { details, lib, id } = jobMetadata;
-  const sourceCoverID = `${lib}-${id}`;
-  const inputMetadata = await retrieveInputMetadata(
-    s3Client,
-    `${sourceCoverID}/${sourceCoverID}.metadata.json`,
-  );
-  if (inputMetadata === null) {
-    return false; // error logged in previous call
+  if (writePolicy === 'overwrite-if-unedited') {
+    if (existing.author !== LIBREBOT) {
+      return false;
+    }
+    return !Number.isInteger(engineRevision) || existing.revision === engineRevision;
   }
+  return false;
+}
 
-  const {
-    lib: sourceLib,
-    targetLib,
-    targetPath,
-    notifyAddrs,
-  } = inputMetadata;
-  sourceLibName = sourceLib;
-  targetLibName = targetLib;
-  const srcParams = await retrieveLibraryParameters(true);
-  const trgtParams = await retrieveLibraryParameters();
-  if (!srcParams || !trgtParams) {
-    console.error('Fatal Error: Couldn\'t retrieve library keys.');
+/**
+ * Checks if a page on the target library was created by the engine for a source page that is no
+ * longer part of the text, and may be removed under the job's write policy.
+ *
+ * @param {string} targetLib - The internal library shortname/identifier of the target library.
+ * @param {string} pageID - The identifier of the page on the target library.
+ * @param {string} writePolicy - The job's write policy.
+ * @returns {Promise<boolean>} True if the page is stale and may be removed, false otherwise.
+ */
+async function isStaleTargetPage(targetLib, pageID, writePolicy) {
+  const tagsRes = await axiosInstance.get(
+    `https://${targetLib}.libretexts.org/@api/deki/pages/${pageID}/tags?dream.out.format=json`,
+    { headers: generateAPIRequestHeaders(targetLib) },
+  );
+  const sourceTag = processTags(tagsRes.data).find((tag) => tag.startsWith('source[translate]-'));
+  if (!sourceTag || sourcePageKeys.has(sourceTag.replace('source[translate]-', ''))) {
     return false;
   }
+  const existing = await getExistingTargetPage(targetLib, pageID);
+  return existing !== null && canOverwritePage(existing, writePolicy);
+}
 
-  const fileNames = details.map((f) => `${jobMetadata.outputDataPrefix}${f.targetFile}`);
-  const translatedPages = await async.mapLimit(
-    fileNames,
-    MAX_CONCURRENT,
-    async (file) => retrieveAndProcessTranslatedContent(s3Client, file),
-  );
-  const pageStructure = mergeInputStructure(inputMetadata, translatedPages);
-  const saveSuccess = await saveToLibrary(pageStructure, {
-    targetLib,
-    targetPath,
+/**
+ * Removes a stale page from the target library, after first removing its stale subpages. The
+ * page is only removed once it has no subpages left, so pages the engine didn't create (or
+ * that are still part of the text) are never deleted along with it.
+ *
+ * @param {string} targetLib - The internal library shortname/identifier of the target library.
+ * @param {object} page - The stale page's identifier and path on the target library.
+ * @param {string} writePolicy - The job's write policy.
+ * @returns {Promise<boolean>} True if the page was removed, false if it was kept.
+ */
+async function removeStalePage(targetLib, page, writePolicy) {
+  const subpages = await getTargetSubpages(targetLib, page.path);
+  const removed = await async.mapSeries(subpages, async (subpage) => (
+    await isStaleTargetPage(targetLib, subpage.id, writePolicy)
+    && removeStalePage(targetLib, subpage, writePolicy)
+  ));
+  if (!removed.every((isRemoved) => isRemoved)) {
+    console.warn(`[RECONCILE SUBPAGES] Keeping stale page ${targetLib}-${page.id}, it has subpages the engine didn't create.`);
+    return false;
+  }
+  console.log(`[RECONCILE SUBPAGES] Removing stale page ${targetLib}-${page.id}`);
+  await axiosInstance.delete(`https://${targetLib}.libretexts.org/@api/deki/pages/${page.id}`, {
+    headers: generateAPIRequestHeaders(targetLib),
   });
-  if (saveSuccess) {
-    await sendCompletionNotification(notifyAddrs, lib, id, targetLib, targetPath);
-    console.log('[PROCESS TRANSLATED] Successfuly processed translated text.');
-  } else {
-    console.error('[PROCESS TRANSLATED] Error encountered saving translated text.');
+  return true;
+}
+
+/**
+ * Removes subpages of an existing target page that the engine created for source pages that
+ * are no longer part of the text. Subpages created by others, or (under 'overwrite-if-unedited')
+ * edited since, are left in place, along with any stale pages above them.
+ *
+ * @param {string} targetLib - The internal library shortname/identifier of the target library.
+ * @param {string} pagePath - The path of the page to reconcile, relative to the library hostname.
+ * @param {string} writePolicy - The job's write policy.
+ * @returns {Promise<boolean>} Returns true if reconciliation attempted (errors are logged).
+ */
+async function reconcileSubpages(targetLib, pagePath, writePolicy) {
+  try {
+    const subpages = await getTargetSubpages(targetLib, pagePath);
+    await async.eachSeries(subpages, async (subpage) => {
+      if (await isStaleTargetPage(targetLib, subpage.id, writePolicy)) {
+        await removeStalePage(targetLib, subpage, writePolicy);
+      }
+    });
+  } catch (e) {
+    console.warn(`[RECONCILE SUBPAGES] Warning: Error reconciling subpages of "${pagePath}":`);
+    console.warn(e);
   }
-  return saveSuccess;
+  return true;
 }
 
 /**
- * Exposes the main function to the Lambda execution environment.
+ * Builds the S3 object key of the creation ledger for a text and target.
  *
- * @param {object} event - The event that triggered the Lambda invocation.
- * @returns {Promise<boolean>} True if process succeeded, false otherwise.
+ * @param {string} coverID - The lib-ID format identifier of the root page.
+ * @param {string} targetLib - The library the text is translated to.
+ * @param {string} language - The language code the text is translated to.
+ * @returns {string} The ledger's key in the engine output bucket.
  */
-export default async function translatedEventHandler(event) {
-  if (!event || !event.detail || event.detail.jobStatus !== 'COMPLETED') {
-    console.error('[HANDLER] Event information is invalid or missing.');
-    return false;
+function getLedgerKey(coverID, targetLib, language) {
+  return `${coverID}/${coverID}.${targetLib}-${language}.ledger.json`;
+}
+
+/**
+ * Retrieves a previously saved creation ledger from S3.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {string} key - The ledger's key in the engine output bucket.
+ * @returns {Promise<CreationLedger|null>} The ledger, or null if not found or error encountered.
+ */
+async function retrieveLedger(s3Client, key) {
+  try {
+    const ledgerContents = await getFileContents(s3Client, process.env.AWS_S3_OUTPUT_BUCKET, key);
+    if (ledgerContents !== null) {
+      return JSON.parse(ledgerContents);
+    }
+  } catch (e) {
+    if (e.name !== 'NoSuchKey') {
+      console.warn('[LEDGER] Warning: Error retrieving ledger:');
+      console.warn(e);
+    }
   }
-  return processTranslated(event.detail);
+  return null;
+}
+
+/**
+ * Queues a write of the current creation ledger to S3. Writes are chained so a slower, older
+ * write can't replace a newer one.
+ *
+ * @returns {Promise<void>} Resolves once the queued write has finished.
+ */
+function saveLedger() {
+  if (ledger === null || !isNonEmptyString(ledgerKey)) {
+    return ledgerWrites;
+  }
+  ledgerWrites = ledgerWrites.then(async () => {
+    try {
+      const s3Client = new S3Client({
+        credentials: {
+          accessKeyId: process.env.AWS_S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.AWS_S3_SECRET_ACCESS_KEY,
+        },
+        region: process.env.AWS_ENGINE_REGION,
+      });
+      await s3Client.send(new PutObjectCommand({
+        Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+        Key: ledgerKey,
+        Body: Buffer.from(JSON.stringify({ ...ledger, updated: new Date().toISOString() })),
+        ContentType: 'application/json',
+      }));
+    } catch (e) {
+      console.warn('[LEDGER] Warning: Error saving ledger:');
+      console.warn(e);
+      ledgerLost = true;
+    }
+  });
+  return ledgerWrites;
 }
+
+/**
+ * Deletes the pages created during a failed run from the target library, or moves them to a
+ * quarantine path, then clears them from the ledger. Only the topmost created pages are
+ * moved; their created subpages move with them.
+ *
+ * @param {string} targetLib - The internal library shortname/identifier of the target library.
+ * @param {string} onFailure - The rollback mode ('delete' or 'quarantine').
+ * @param {string} [jobID] - The engine job identifier, used to name the quarantine page.
+ * @returns {Promise<string[]>} The source lib-ID identifiers of the pages rolled back.
+ */
+async function rollbackCreatedPages(targetLib, onFailure, jobID) {
+  const rolledBack = [];
+  if (ledger === null) {
+    return rolledBack;
+  }
+  const root = `https://${targetLib}.libretexts.org/@api/deki/pages/`;
+  const created = Object.entries(ledger.pages);
+  const createdPaths = created.map(([, entry]) => entry.path);
+  const isTopmost = (entry) => !createdPaths.some((path) => entry.path.startsWith(`${path}/`));
+  let quarantinePath;
+  try {
+    if (onFailure === 'quarantine') {
+      const quarantineRoot = process.env.TARGET_QUARANTINE_PATH || 'Sandboxes/Polyglot_Engine_Quarantine';
+      quarantinePath = assembleUrl([quarantineRoot, jobID || Date.now().toString()]);
+      const finalPath = encodeURIComponent(encodeURIComponent(quarantinePath));
+      await axiosInstance.post(
+        `${root}=${finalPath}/contents?edittime=now&abort=exists&dream.out.format=json`,
+        '<p>Pages created by a failed Polyglot Engine run.</p>',
+        {
+          headers: {
+            ...generateAPIRequestHeaders(targetLib),
+            'Content-Type': 'text/plain; charset=utf-8;',
+          },
+          validateStatus: (status) => status < 500, // quarantine page may already exist
+        },
+      );
+    }
+    /* Reverse creation order, so subpages go before their parents */
+    await async.eachSeries(created.reverse(), async ([pageKey, entry]) => {
+      try {
+        if (onFailure === 'quarantine') {
+          if (isTopmost(entry)) {
+            const newPath = assembleUrl([quarantinePath, entry.path.split('/').pop()]);
+            await axiosInstance.post(
+              `${root}${entry.targetID}/move?to=${encodeURIComponent(newPath)}&dream.out.format=json`,
+              null,
+              { headers: generateAPIRequestHeaders(targetLib) },
+            );
+          }
+        } else {
+          await axiosInstance.delete(`${root}${entry.targetID}`, {
+            headers: generateAPIRequestHeaders(targetLib),
+          });
+        }
+        rolledBack.push(pageKey);
+      } catch (e) {
+        if (e.response?.status === 404) {
+          rolledBack.push(pageKey); // already gone
+          return;
+        }
+        console.warn(`[ROLLBACK] Warning: Error rolling back page ${targetLib}-${entry.targetID}:`);
+        console.warn(e);
+      }
+    });
+  } catch (e) {
+    console.error('[ROLLBACK] Error rolling back created pages:');
+    console.error(e);
+  }
+  ledger.rolledBack = [
+    ...(ledger.rolledBack || []),
+    ...rolledBack.map((pageKey) => ({ pageKey, ...ledger.pages[pageKey] })),
+  ];
+  rolledBack.forEach((pageKey) => delete ledger.pages[pageKey]);
+  ledger.status = onFailure === 'quarantine' ? 'quarantined' : 'deleted';
+  if (quarantinePath) {
+    ledger.quarantinePath = quarantinePath;
+  }
+  await saveLedger();
+  console.log(`[ROLLBACK] Rolled back ${rolledBack.length} of ${created.length} created pages.`);
+  return rolledBack;
+}
+
+/**
+ * Saves the review restriction, tags, and properties of a page whose contents were just saved.
+ * Once they're saved, a page created by the run is marked complete in the creation ledger, so a
+ * resumed run knows to save them again if it was interrupted before then. A new page that can't
+ * be made private while awaiting review is removed.
+ *
+ * @param {LibreTranslatedPage} page - The page information object.
+ * @param {object} target - Information about where the page was saved.
+ * @param {string} target.targetLib - The LibreTexts library shortname the page was saved to.
+ * @param {string} target.root - The base URL of the library's pages API.
+ * @param {object} target.reqTokenHeaders - Headers (and auth token) to pass to CXone Expert API
+ *  requests.
+ * @param {string} targetID - The identifier of the page on the target library.
+ * @param {boolean} created - If the page was created by the run (rather than overwritten).
+ * @returns {Promise<void>} Resolves once the settings have been saved.
+ */
+async function saveCreatedPageSettings(
+  page,
+  { targetLib, root, reqTokenHeaders },
+  targetID,
+  created,
+) {
+  const pageKey = `${page.lib}-${page.id}`;
+  if (
+    reviewMode !== null
+    && !await setPageRestriction(reqTokenHeaders, targetLib, root, targetID, 'Private')
+  ) {
+    if (created) { // don't leave an unreviewed page public
+      try {
+        await axiosInstance.delete(`${root}${targetID}`, { headers: reqTokenHeaders });
+        delete savedPages[pageKey];
+        if (ledger !== null) {
+          delete ledger.pages[pageKey];
+          saveLedger();
+        }
+      } catch (e) {
+        console.warn(`[SAVE TRANSLATED PAGE] Warning: Error removing public page ${targetLib}-${targetID}:`);
+        console.warn(e);
+      }
+    }
+    throw (new Error('Couldn\'t make the page private while it awaits review.'));
+  }
+  await savePageTags(reqTokenHeaders, targetLib, page, root, targetID);
+  await savePageProperties(reqTokenHeaders, targetLib, page, root, targetID, !created);
+  if (created && ledger?.pages[pageKey]) {
+    ledger.pages[pageKey].complete = true;
+    saveLedger();
+  }
+}
+
+/**
+ * Recursively saves a page and its subpages to the provided target LibreTexts library. Page paths
+ *  are built up from the 'root' relative path using the parentPath parameter.
+ *
+ * @param {LibreTranslatedPage} page - The page to save to the target library.
+ * @param {object} target - An object with information about where to save the content.
+ * @param {string} target.targetLib - The LibreTexts library shortname to save the content to.
+ * @param {string} target.targetPath - The root path to save the hierarchy under.
+ * @param {string} [target.parentPath=''] - The relative path of the page's parent to
+ *  prepend to the current page's path.
+ * @param {string} [target.writePolicy='overwrite-if-unedited'] - How to handle pages that
+ *  already exist on the target library ('skip', 'overwrite', or 'overwrite-if-unedited').
+ * @returns {Promise<boolean>} True if save succeeded, false otherwise.
+ */
+async function saveToLibrary(page, {
+  targetLib,
+  targetPath,
+  parentPath = '',
+  writePolicy = DEFAULT_WRITE_POLICY,
+}) {
+  try {
+    if (!page) {
+      throw (new Error('Page data not provided or invalid.'));
+    }
+    if (!isNonEmptyString(targetLib)) {
+      throw (new Error('Target library not provided or invalid.'));
+    }
+    if (!isNonEmptyString(targetPath)) {
+      throw (new Error('Target path not provided or invalid.'));
+    }
+    console.log(`[SAVE TRANSLATED PAGE] ${page.lib}-${page.id}`);
+    const root = `https://${targetLib}.libretexts.org/@api/deki/pages/`;
+    const reqTokenHeaders = generateAPIRequestHeaders(targetLib);
+
+    let relativePath;
+    if (isNonEmptyString(page.previousTargetPath)) {
+      relativePath = page.previousTargetPath; // keep existing translation's location
+    } else {
+      const trimTitle = page.title.trim();
+      let newPagePath = trimTitle;
+      let newPageURLTitle = trimTitle;
+      if (isNonEmptyString(page.urlNumPrefix)) {
+        const splitTitle = newPageURLTitle.split(':');
+        if (splitTitle.length > 1) {
+          newPageURLTitle = splitTitle[1].trim();
+        }
+        newPagePath = `${page.urlNumPrefix}: ${newPageURLTitle}`;
+      }
+      newPagePath = newPagePath.replaceAll(' ', '_');
+      relativePath = assembleUrl([parentPath, newPagePath]);
+    }
+
+    const pageKey = `${page.lib}-${page.id}`;
+    const pagePath = assembleUrl([targetPath, relativePath]);
+    let existing = null;
+    if (page.unchanged === true) {
+      console.log(`[SAVE TRANSLATED PAGE] ${pageKey} is unchanged, skipping.`);
+      savedPages[pageKey] = {
+        targetID: page.previousTargetID?.toString(),
+        relativePath,
+        contentHash: page.contentHash,
+        revision: page.previousTargetRevision,
+        unchanged: true,
+      };
+    } else if (
+      ledger?.pages[pageKey]
+      && await getExistingTargetPage(targetLib, ledger.pages[pageKey].targetID) !== null
+    ) {
+      console.log(`[SAVE TRANSLATED PAGE] ${pageKey} was created in a previous attempt, skipping.`);
+      const {
+        targetID,
+        contentHash,
+        revision,
+        complete,
+      } = ledger.pages[pageKey];
+      savedPages[pageKey] = {
+        targetID,
+        relativePath,
+        contentHash,
+        revision,
+      };
+      if (complete !== true) {
+        console.log(`[SAVE TRANSLATED PAGE] ${pageKey} was interrupted before its settings were saved, saving them now.`);
+        await saveCreatedPageSettings(page, { targetLib, root, reqTokenHeaders }, targetID, true);
+      }
+      copiedAttachments[pageKey] = await copyPageAttachments(page, targetLib, targetID);
+    } else {
+      existing = await getExistingTargetPage(targetLib, pagePath);
+      if (existing && !canOverwritePage(existing, writePolicy, page.previousTargetRevision)) {
+        console.log(`[SAVE TRANSLATED PAGE] ${pageKey} exists on target, skipping (policy "${writePolicy}").`);
+        skippedPageCount += 1;
+        savedPages[pageKey] = {
+          targetID: existing.id,
+          relativePath,
+          skipped: true,
+        };
+      } else {
+        const finalPath = encodeURIComponent(encodeURIComponent(pagePath));
+        const abortMode = existing ? 'never' : 'exists';
+        const createPageRes = await axiosInstance.post(
+          `${root}=${finalPath}/contents?title=${encodeURIComponent(page.title.trim())}&edittime=now&abort=${abortMode}&dream.out.format=json`,
+          page.contents.trim(),
+          {
+            headers: {
+              ...reqTokenHeaders,
+              'Content-Type': 'text/plain; charset=utf-8;',
+            },
+          },
+        );
+        const pageCreateData = createPageRes?.data;
+        if (pageCreateData['@status'] !== 'success') {
+          throw (new Error(pageCreateData));
+        }
+        const newPageData = pageCreateData.page;
+        const newPageID = newPageData['@id'];
+        if (!isNonEmptyString(newPageID)) {
+          throw (new Error('New PageID is missing or invalid.'));
+        }
+        savedPages[pageKey] = {
+          targetID: newPageID,
+          relativePath,
+          contentHash: page.contentHash,
+          revision: Number.parseInt(newPageData['@revision'], 10) || undefined,
+        };
+        if (!existing && ledger !== null) {
+          ledger.pages[pageKey] = { ...savedPages[pageKey], path: pagePath, complete: false };
+          saveLedger();
+        }
+        await saveCreatedPageSettings(
+          page,
+          { targetLib, root, reqTokenHeaders },
+          newPageID,
+          !existing,
+        );
+        copiedAttachments[pageKey] = await copyPageAttachments(page, targetLib, newPageID);
+      }
+    }
+    if (Array.isArray(page.subpages)) {
+      await async.eachLimit(page.subpages, MAX_CONCURRENT, async (subpage) => {
+        const subpathData = {
+          parentPath: relativePath,
+          targetLib,
+          targetPath,
+          writePolicy,
+        };
+        await saveToLibrary(subpage, subpathData);
+      });
+    }
+    if (writePolicy !== 'skip' && (existing || page.unchanged === true)) {
+      await reconcileSubpages(targetLib, pagePath, writePolicy);
+    }
+    if (savedPages[pageKey].skipped) {
+      return true;
+    }
+    const newPageID = savedPages[pageKey].targetID;
+    if (page.unchanged !== true) {
+      await copyPageThumbnail(
+        { sourceLib: page.lib, sourceID: page.id },
+        { targetID: newPageID, targetLib },
+      );
+    }
+    return true;
+  } catch (e) {
+    failedPageCount += 1;
+    if (page) {
+      pageReport[`${page.lib}-${page.id}`] = {
+        status: 'save-failed',
+        error: e.response?.status ? `HTTP ${e.response.status}` : e.message,
+      };
+    }
+    console.error('[SAVE TRANSLATED PAGE] Error encountered while saving page:');
+    console.error(JSON.stringify(e, null, 2));
+    console.error(JSON.stringify(e.response?.data, null, 2));
+  }
+  return false;
+}
+
+/**
+ * Normalizes a page path for comparison by decoding it and removing leading and trailing slashes.
+ *
+ * @param {string} path - The page path to normalize.
+ * @returns {string} The normalized path.
+ */
+function normalizeLinkPath(path) {
+  let decoded = path;
+  try {
+    decoded = decodeURIComponent(path);
+  } catch (e) {
+    // leave malformed paths as-is
+  }
+  return decoded.replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Builds lookup tables of the translated counterparts of each page in the source text, using
+ * the pages saved (or already present) on the target library.
+ *
+ * @param {object} inputMetadata - Original Engine input metadata object.
+ * @returns {LinkTargets} The lookup tables.
+ */
+function buildLinkTargets(inputMetadata) {
+  const byID = new Map();
+  const byPath = new Map();
+  inputMetadata.allPages.forEach((inputPage) => {
+    const targetID = savedPages[`${inputPage.lib}-${inputPage.id}`]?.targetID;
+    if (!isNonEmptyString(targetID)) {
+      return;
+    }
+    byID.set(inputPage.id.toString(), targetID);
+    let sourcePath = inputPage.path;
+    if (isNonEmptyString(inputPage.url)) {
+      try {
+        sourcePath = new URL(inputPage.url).pathname;
+      } catch (e) {
+        // fall back to the page path
+      }
+    }
+    if (isNonEmptyString(sourcePath)) {
+      byPath.set(normalizeLinkPath(sourcePath), targetID);
+    }
+  });
+  return { byID, byPath };
+}
+
+/**
+ * Rewrites links in a page's HTML contents that point to pages in the source text so they point
+ * to the pages' translated counterparts instead.
+ *
+ * @param {string} contents - The page's HTML contents.
+ * @param {string} sourceLib - The source library shortname.
+ * @param {LinkTargets} linkTargets - Lookup tables of translated counterparts.
+ * @returns {Array} The updated contents, the number of links rewritten, and
+ *  links to other source library pages that couldn't be resolved.
+ */
+function rewritePageLinks(contents, sourceLib, linkTargets) {
+  const sourceHost = `${sourceLib}.libretexts.org`;
+  const $ = cheerio.load(contents, { decodeEntities: true }, false);
+  let rewrittenCount = 0;
+  const unresolved = [];
+  $('a[href]').each((_idx, elem) => {
+    const href = $(elem).attr('href').trim();
+    if (href === '' || href.startsWith('#')) {
+      return;
+    }
+    let linkURL;
+    try {
+      linkURL = new URL(href, `https://${sourceHost}`);
+    } catch (e) {
+      return;
+    }
+    if (
+      !['http:', 'https:'].includes(linkURL.protocol)
+      || linkURL.hostname !== sourceHost
+      || linkURL.pathname.startsWith('/@api/')
+      || normalizeLinkPath(linkURL.pathname) === ''
+    ) {
+      return;
+    }
+    const goMatch = linkURL.pathname.match(/^\/@go\/page\/(\d+)\/?$/);
+    const targetID = goMatch
+      ? linkTargets.byID.get(goMatch[1])
+      : linkTargets.byPath.get(normalizeLinkPath(linkURL.pathname));
+    if (!isNonEmptyString(targetID)) {
+      unresolved.push(href);
+      return;
+    }
+    $(elem).attr('href', `/@go/page/${targetID}${linkURL.hash}`);
+    rewrittenCount += 1;
+  });
+  return [rewrittenCount > 0 ? $.html() : contents, rewrittenCount, unresolved];
+}
+
+/**
+ * Recursively rewrites internal links in each page saved during the run so that translated
+ * pages link to each other, then re-saves the pages whose links or attachment references changed.
+ *
+ * @param {LibreTranslatedPage} page - The page to process.
+ * @param {string} targetLib - The target library shortname.
+ * @param {LinkTargets} linkTargets - Lookup tables of translated counterparts.
+ * @returns {Promise<number>} The number of pages that were updated.
+ */
+async function rewriteInternalLinks(page, targetLib, linkTargets) {
+  if (!page) {
+    return 0;
+  }
+  let updatedCount = 0;
+  const pageKey = `${page.lib}-${page.id}`;
+  const saved = savedPages[pageKey];
+  if (
+    saved
+    && !saved.unchanged
+    && !saved.skipped
+    && !pageReport[pageKey]
+    && isNonEmptyString(page.contents)
+  ) {
+    const attachments = copiedAttachments[pageKey];
+    const [contents, rewrittenCount, unresolved] = rewritePageLinks(
+      attachments?.contents || page.contents,
+      page.lib,
+      linkTargets,
+    );
+    if (unresolved.length > 0) {
+      unresolvedLinks[pageKey] = unresolved;
+    }
+    if (rewrittenCount > 0 || attachments?.copiedCount > 0) {
+      try {
+        console.log(`[REWRITE LINKS] Updating ${pageKey} (${rewrittenCount} links, ${attachments?.copiedCount || 0} files)...`);
+        const root = `https://${targetLib}.libretexts.org/@api/deki/pages/`;
+        const updateRes = await axiosInstance.post(
+          `${root}${saved.targetID}/contents?edittime=now&abort=never&dream.out.format=json`,
+          contents.trim(),
+          {
+            headers: {
+              ...generateAPIRequestHeaders(targetLib),
+              'Content-Type': 'text/plain; charset=utf-8;',
+            },
+          },
+        );
+        if (updateRes?.data?.['@status'] !== 'success') {
+          throw (new Error(updateRes?.data));
+        }
+        const revision = Number.parseInt(updateRes.data.page?.['@revision'], 10);
+        if (revision) {
+          saved.revision = revision;
+          if (ledger?.pages[pageKey]) {
+            ledger.pages[pageKey].revision = revision;
+            saveLedger();
+          }
+        }
+        updatedCount += 1;
+      } catch (e) {
+        console.warn(`[REWRITE LINKS] Warning: Error updating links in ${pageKey}:`);
+        console.warn(e);
+      }
+    }
+  }
+  if (Array.isArray(page.subpages)) {
+    const subpageCounts = await async.mapLimit(
+      page.subpages,
+      MAX_CONCURRENT,
+      async (subpage) => rewriteInternalLinks(subpage, targetLib, linkTargets),
+    );
+    updatedCount += subpageCounts.reduce((total, count) => total + count, 0);
+  }
+  return updatedCount;
+}
+
+/**
+ * Records pages that failed in machine translation, according to the translation job's details.
+ *
+ * @param {object[]} details - The per-document details from the translation job metadata.
+ * @returns {object[]} The details of documents that were translated successfully.
+ */
+function recordTranslationFailures(details) {
+  return details.filter((detail) => {
+    const error = detail.auxiliaryData?.error;
+    if (isNonEmptyString(detail.targetFile) && !error) {
+      return true;
+    }
+    const pageKey = detail.sourceFile?.replace(/\.html$/, '');
+    if (isNonEmptyString(pageKey)) {
+      pageReport[pageKey] = {
+        status: 'mt-failed',
+        error: error ? `${error.errorCode}: ${error.errorMessage}` : 'No translated output.',
+      };
+    }
+    return false;
+  });
+}
+
+/**
+ * Retrieves and processes the translated pages in a translation job's output. Pages that failed
+ * in machine translation, or whose output couldn't be processed, are recorded for the page report.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {object} jobMetadata - The translation job's output details for the target language.
+ * @returns {Promise<Array<LibreTranslatedPage|null>>} The translated pages (null for each page
+ *  that couldn't be processed).
+ */
+async function retrieveTranslatedPages(s3Client, jobMetadata) {
+  const translatedDetails = recordTranslationFailures(jobMetadata.details);
+  return async.mapLimit(translatedDetails, MAX_CONCURRENT, async (detail) => {
+    const file = `${jobMetadata.outputDataPrefix}${detail.targetFile}`;
+    const translatedPage = await retrieveAndProcessTranslatedContent(s3Client, file);
+    if (translatedPage === null) {
+      pageReport[detail.sourceFile.replace(/\.html$/, '')] = {
+        status: 'parse-failed',
+        error: 'Translated content couldn\'t be retrieved or processed.',
+      };
+    }
+    return translatedPage;
+  });
+}
+
+/**
+ * Builds the job's per-page report from the outcome of each input page.
+ *
+ * @param {object} inputMetadata - Original Engine input metadata object.
+ * @param {string} language - The language code the text was translated to.
+ * @param {PageReportEntry[]} [removedPages=[]] - Previously translated pages that are no longer
+ *  part of the source text.
+ * @param {boolean} [untranslated=false] - If the saved pages are copies of the source text.
+ * @returns {object} The report, with a summary of counts by status and an entry for each page.
+ */
+function createPageReport(inputMetadata, language, removedPages = [], untranslated = false) {
+  const pages = inputMetadata.allPages.map((inputPage) => {
+    const pageKey = `${inputPage.lib}-${inputPage.id}`;
+    const saved = savedPages[pageKey];
+    /** @type {PageReportEntry} */
+    const entry = { pageKey, title: inputPage.title };
+    if (pageReport[pageKey]) {
+      Object.assign(entry, pageReport[pageKey]);
+    } else if (saved) {
+      entry.targetID = saved.targetID;
+      if (saved.unchanged) {
+        entry.status = 'unchanged';
+      } else if (saved.skipped) {
+        entry.status = 'skipped';
+      } else {
+        entry.status = untranslated ? 'untranslated' : 'translated';
+      }
+    } else {
+      entry.status = 'orphaned';
+    }
+    if (unresolvedLinks[pageKey]) {
+      entry.unresolvedLinks = unresolvedLinks[pageKey];
+    }
+    if (copiedAttachments[pageKey]?.uncopied.length > 0) {
+      entry.uncopiedFiles = copiedAttachments[pageKey].uncopied;
+    }
+    if (protectionIssues[pageKey]) {
+      entry.protectionIssues = protectionIssues[pageKey];
+    }
+    return entry;
+  }).concat(removedPages);
+  const summary = {};
+  pages.forEach(({ status }) => {
+    summary[status] = (summary[status] || 0) + 1;
+  });
+  return {
+    lib: inputMetadata.lib,
+    id: inputMetadata.id,
+    jobID: inputMetadata.jobID,
+    targetLib: inputMetadata.targetLib,
+    targetPath: inputMetadata.targetPath,
+    language,
+    generated: new Date().toISOString(),
+    ...(untranslated && { untranslated }),
+    summary,
+    pages,
+  };
+}
+
+/**
+ * Builds the S3 object key of the page report saved for a text and target.
+ *
+ * @param {string} coverID - The lib-ID format identifier of the root page.
+ * @param {string} targetLib - The library the text is translated to.
+ * @param {string} language - The language code the text is translated to.
+ * @returns {string} The report's key in the engine output bucket.
+ */
+function getPageReportKey(coverID, targetLib, language) {
+  return `${coverID}/${coverID}.${targetLib}-${language}.report.json`;
+}
+
+/**
+ * Saves a job's per-page report to S3.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {object} report - The page report to save.
+ * @returns {Promise<string|null>} The report's key in the engine output bucket, or null if
+ *  error encountered.
+ */
+async function savePageReport(s3Client, report) {
+  const reportKey = getPageReportKey(`${report.lib}-${report.id}`, report.targetLib, report.language);
+  try {
+    await s3Client.send(new PutObjectCommand({
+      Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+      Key: reportKey,
+      Body: Buffer.from(JSON.stringify(report)),
+      ContentType: 'application/json',
+    }));
+    return reportKey;
+  } catch (e) {
+    console.warn('[SAVE REPORT] Warning: Error saving page report:');
+    console.warn(e);
+  }
+  return null;
+}
+
+/**
+ * Builds the S3 object key of the translation state saved for a text and target.
+ *
+ * @param {string} coverID - The lib-ID format identifier of the root page.
+ * @param {string} targetLib - The library the text is translated to.
+ * @param {string} language - The language code the text is translated to.
+ * @returns {string} The state file's key in the engine output bucket.
+ */
+function getTranslationStateKey(coverID, targetLib, language) {
+  return `${coverID}/${coverID}.${targetLib}-${language}.state.json`;
+}
+
+/**
+ * Retrieves the state of a text's previous translation to the same target from S3.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {object} inputMetadata - Original Engine input metadata object.
+ * @param {string} language - The language code the text was translated to.
+ * @returns {Promise<object|null>} The previous state, or null if not found, saved under a
+ *  different target path, or error encountered.
+ */
+async function retrieveTranslationState(s3Client, inputMetadata, language) {
+  try {
+    const coverID = `${inputMetadata.lib}-${inputMetadata.id}`;
+    const stateContents = await getFileContents(
+      s3Client,
+      process.env.AWS_S3_OUTPUT_BUCKET,
+      getTranslationStateKey(coverID, inputMetadata.targetLib, language),
+    );
+    if (stateContents !== null) {
+      const state = JSON.parse(stateContents);
+      if (state.targetPath === inputMetadata.targetPath && typeof (state.pages) === 'object') {
+        return state;
+      }
+    }
+  } catch (e) {
+    if (e.name !== 'NoSuchKey') {
+      console.warn('[RETRIEVE STATE] Warning: Error retrieving translation state:');
+      console.warn(e);
+    }
+  }
+  return null;
+}
+
+/**
+ * Lists the pages of a previous translation whose source pages are no longer part of the text
+ * (deleted, or moved out of it), since every page of the text is crawled for each run.
+ *
+ * @param {object|null} previousState - The state of the previous translation, if any.
+ * @param {object} inputMetadata - Original Engine input metadata object.
+ * @returns {PageReportEntry[]} Report entries for the removed pages.
+ */
+function findRemovedPages(previousState, inputMetadata) {
+  if (!previousState) {
+    return [];
+  }
+  const pageKeys = new Set(inputMetadata.allPages.map((page) => `${page.lib}-${page.id}`));
+  return Object.entries(previousState.pages)
+    .filter(([pageKey]) => !pageKeys.has(pageKey))
+    .map(([pageKey, { targetID }]) => ({ pageKey, status: 'removed', targetID }));
+}
+
+/**
+ * Saves the state of a text's translation to S3 so later runs against the same target only
+ * translate pages that have changed. The pages saved in this run are merged into the previous
+ * state, so pages this run didn't save (outside a retry, rolled back, or skipped in an XLIFF
+ * import) keep their previous translation. Pages that failed to save keep their previous entry
+ * (if any), so they are retried on the next run. Only pages removed from the source text are
+ * dropped.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {object} inputMetadata - Original Engine input metadata object.
+ * @param {string} language - The language code the text was translated to.
+ * @param {object|null} previousState - The state of the previous translation, if any.
+ * @param {PageReportEntry[]} removedPages - Previously translated pages that are no longer part
+ *  of the source text.
+ * @returns {Promise<boolean>} True if the state was saved, false otherwise.
+ */
+async function saveTranslationState(
+  s3Client,
+  inputMetadata,
+  language,
+  previousState,
+  removedPages,
+) {
+  try {
+    const coverID = `${inputMetadata.lib}-${inputMetadata.id}`;
+    const pages = { ...previousState?.pages };
+    removedPages.forEach(({ pageKey }) => delete pages[pageKey]);
+    Object.entries(savedPages).forEach(([pageID, savedPage]) => {
+      const {
+        targetID,
+        relativePath,
+        contentHash,
+        revision,
+      } = savedPage;
+      if (isNonEmptyString(contentHash)) {
+        pages[pageID] = {
+          targetID,
+          relativePath,
+          contentHash,
+          revision,
+        };
+      }
+    });
+    const state = {
+      lib: inputMetadata.lib,
+      id: inputMetadata.id,
+      targetLib: inputMetadata.targetLib,
+      targetPath: inputMetadata.targetPath,
+      language,
+      updated: new Date().toISOString(),
+      pages,
+    };
+    await s3Client.send(new PutObjectCommand({
+      Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+      Key: getTranslationStateKey(coverID, inputMetadata.targetLib, language),
+      Body: Buffer.from(JSON.stringify(state)),
+      ContentType: 'application/json',
+    }));
+    return true;
+  } catch (e) {
+    console.warn('[SAVE STATE] Warning: Error saving translation state:');
+    console.warn(e);
+  }
+  return false;
+}
+
+/**
+ * Builds the S3 object key of the review state saved for a text and target.
+ *
+ * @param {string} coverID - The lib-ID format identifier of the root page.
+ * @param {string} targetLib - The library the text is translated to.
+ * @param {string} language - The language code the text is translated to.
+ * @returns {string} The review state's key in the engine output bucket.
+ */
+function getReviewStateKey(coverID, targetLib, language) {
+  return `${coverID}/${coverID}.${targetLib}-${language}.review.json`;
+}
+
+/**
+ * Retrieves the review state of a text's translation from S3.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {string} key - The review state's key in the engine output bucket.
+ * @returns {Promise<ReviewState|null>} The review state, or null if not found or error
+ *  encountered.
+ */
+async function retrieveReviewState(s3Client, key) {
+  try {
+    const stateContents = await getFileContents(s3Client, process.env.AWS_S3_OUTPUT_BUCKET, key);
+    if (stateContents !== null) {
+      return JSON.parse(stateContents);
+    }
+  } catch (e) {
+    if (e.name !== 'NoSuchKey') {
+      console.warn('[REVIEW STATE] Warning: Error retrieving review state:');
+      console.warn(e);
+    }
+  }
+  return null;
+}
+
+/**
+ * Saves the review state of a text's translation to S3.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {string} key - The review state's key in the engine output bucket.
+ * @param {ReviewState} review - The review state to save.
+ * @returns {Promise<boolean>} True if the state was saved, false otherwise.
+ */
+async function saveReviewState(s3Client, key, review) {
+  try {
+    await s3Client.send(new PutObjectCommand({
+      Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+      Key: key,
+      Body: Buffer.from(JSON.stringify({ ...review, updated: new Date().toISOString() })),
+      ContentType: 'application/json',
+    }));
+    return true;
+  } catch (e) {
+    console.error('[REVIEW STATE] Error saving review state:');
+    console.error(e);
+  }
+  return false;
+}
+
+/**
+ * Creates the private page a translation is staged under while it awaits review.
+ *
+ * @param {string} targetLib - The internal library shortname/identifier of the target library.
+ * @param {string} stagingPath - The path of the staging page, relative to the library hostname.
+ * @returns {Promise<boolean>} True if the page was created (or already exists), false otherwise.
+ */
+async function createStagingPage(targetLib, stagingPath) {
+  try {
+    const root = `https://${targetLib}.libretexts.org/@api/deki/pages/`;
+    const finalPath = encodeURIComponent(encodeURIComponent(stagingPath));
+    const createRes = await axiosInstance.post(
+      `${root}=${finalPath}/contents?edittime=now&abort=exists&dream.out.format=json`,
+      '<p>Translated pages awaiting review before they are published.</p>',
+      {
+        headers: {
+          ...generateAPIRequestHeaders(targetLib),
+          'Content-Type': 'text/plain; charset=utf-8;',
+        },
+        validateStatus: (status) => status < 500, // staging page may already exist
+      },
+    );
+    const stagingID = createRes.data?.page?.['@id'];
+    if (
+      isNonEmptyString(stagingID)
+      && !await setPageRestriction(null, targetLib, root, stagingID, 'Private')
+    ) {
+      throw (new Error('Couldn\'t make the staging page private.'));
+    }
+    return true;
+  } catch (e) {
+    console.error(`[STAGING] Error creating staging page "${stagingPath}":`);
+    console.error(e);
+  }
+  return false;
+}
+
+/**
+ * Publishes a text's translation that was held for review: a staged translation is moved to its
+ * final path, then each page held for review has its review tag and restriction removed. The
+ * requesters are notified once the translation is published.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {object} inputMetadata - Original Engine input metadata object, for the target.
+ * @param {string} language - The language code the text was translated to.
+ * @returns {Promise<object>} The outcome of the approval, with a success flag and the updated
+ *  review state.
+ */
+async function approveReviewedLanguage(s3Client, inputMetadata, language) {
+  const {
+    lib,
+    id,
+    targetLib,
+    notifyAddrs,
+    sourceLanguage,
+    sourceLanguageDetected,
+  } = inputMetadata;
+  const reviewKey = getReviewStateKey(`${lib}-${id}`, targetLib, language);
+  const review = await retrieveReviewState(s3Client, reviewKey);
+  if (review === null) {
+    return { success: false, error: `No "${language}" translation awaiting review.` };
+  }
+  if (review.status === 'approved') {
+    console.log(`[APPROVE] "${language}" translation was already published.`);
+    return { success: true, review };
+  }
+  console.log(`[APPROVE] Publishing "${language}" translation to ${targetLib}/${review.targetPath}...`);
+  targetLibName = targetLib;
+  const trgtParams = await retrieveLibraryParameters();
+  if (!trgtParams) {
+    return { success: false, error: 'Couldn\'t retrieve library keys.' };
+  }
+  const root = `https://${targetLib}.libretexts.org/@api/deki/pages/`;
+  if (review.mode === 'staging' && !review.moved) {
+    if (!review.root) {
+      return { success: false, review, error: `The staged "${language}" translation has no root page.` };
+    }
+    try {
+      const finalRootPath = assembleUrl([review.targetPath, review.root.relativePath]);
+      await axiosInstance.post(
+        `${root}${review.root.targetID}/move?to=${encodeURIComponent(finalRootPath)}&dream.out.format=json`,
+        null,
+        { headers: generateAPIRequestHeaders(targetLib) },
+      );
+      review.moved = true;
+      await saveReviewState(s3Client, reviewKey, review);
+      await axiosInstance.delete(
+        `${root}=${encodeURIComponent(encodeURIComponent(review.stagingPath))}`,
+        {
+          headers: generateAPIRequestHeaders(targetLib),
+          validateStatus: (status) => status < 500, // leftover staging page isn't an error
+        },
+      );
+    } catch (e) {
+      console.error('[APPROVE] Error moving staged translation to its final path:');
+      console.error(e);
+      return {
+        success: false,
+        review,
+        error: `Couldn't move the staged "${language}" translation to its final path.`,
+      };
+    }
+  }
+  const unpublished = [];
+  await async.eachLimit(review.pages, MAX_CONCURRENT, async (pageID) => {
+    const restrictionRemoved = await setPageRestriction(null, targetLib, root, pageID, 'Public');
+    const tagRemoved = await removeReviewTag(targetLib, root, pageID);
+    if (!restrictionRemoved || !tagRemoved) {
+      unpublished.push(pageID);
+    }
+  });
+  const success = unpublished.length === 0;
+  const updatedReview = {
+    ...review,
+    status: success ? 'approved' : 'pending',
+    pages: success ? review.pages : unpublished, // only retry pages that weren't published
+  };
+  await saveReviewState(s3Client, reviewKey, updatedReview);
+  if (success) {
+    await sendCompletionNotification(notifyAddrs, lib, id, targetLib, review.targetPath, {
+      sourceLanguage,
+      sourceLanguageDetected,
+      targetLanguage: language,
+      approved: true,
+    });
+  }
+  return {
+    success,
+    review: updatedReview,
+    ...(!success && { error: `Couldn't publish ${unpublished.length} "${language}" pages.` }),
+  };
+}
+
+/**
+ * Builds the S3 object key of a job's XLIFF export for a target language.
+ *
+ * @param {string} jobID - The engine job identifier.
+ * @param {string} coverID - The lib-ID identifier of the text's cover page.
+ * @param {string} language - The target language code.
+ * @returns {string} The XLIFF file's key in the output bucket.
+ */
+function getXLIFFKey(jobID, coverID, language) {
+  return `xliff/${jobID}/${coverID}.${language}.xlf`;
+}
+
+/**
+ * Checks if a node within a unit is a nested block containing other units (e.g., a list nested
+ * in a list item), which is left out of the unit's content.
+ *
+ * @param {cheerio.CheerioAPI} $ - The loaded page contents.
+ * @param {cheerio.AnyNode} node - The node to check.
+ * @returns {boolean} True if the node contains other units, false otherwise.
+ */
+function isXLIFFNestedBlock($, node) {
+  if (node.type !== 'tag') {
+    return false;
+  }
+  const $node = $(node);
+  return $node.attr('translate') !== 'no'
+    && ($node.is(XLIFF_UNIT_SELECTOR) || $node.find(XLIFF_UNIT_SELECTOR).length > 0);
+}
+
+/**
+ * Finds a page's translatable units for an XLIFF export: its title, moved attribute text, and
+ * segments (paragraphs, headings, list items, table cells, etc.) with text of their own to
+ * translate. Content marked translate="no" (including segments reused from the translation
+ * memory) is left out.
+ *
+ * @param {cheerio.CheerioAPI} $ - The loaded page contents.
+ * @returns {cheerio.Element[]} The units' elements, in document order.
+ */
+function findXLIFFUnits($) {
+  return $(XLIFF_UNIT_SELECTOR).toArray().filter((elem) => {
+    const $elem = $(elem);
+    if ($elem.closest('[translate="no"]').length > 0) {
+      return false;
+    }
+    const ownText = $elem.contents().toArray()
+      .filter((node) => !isXLIFFNestedBlock($, node))
+      .map((node) => $(node).text())
+      .join('');
+    return ownText.trim().length > 0;
+  });
+}
+
+/**
+ * Creates a table of a unit's XLIFF inline codes and their original markup. Target codes with
+ * the same markup as a source code reuse the source code's identifier, so CAT tools can match
+ * them.
+ *
+ * @returns {object} The table, with the original markup by data ID (data) and a function to add
+ *  a code and get its identifier (addCode).
+ */
+function createXLIFFCodeTable() {
+  const data = {};
+  const unused = {};
+  let count = 0;
+  return {
+    data,
+    addCode(parts, isTarget) {
+      const markup = parts.join('');
+      if (isTarget && unused[markup]?.length > 0) {
+        return unused[markup].shift();
+      }
+      count += 1;
+      if (!isTarget) {
+        unused[markup] = [...(unused[markup] || []), count];
+      }
+      if (parts.length > 1) {
+        [data[`d${count}s`], data[`d${count}e`]] = parts;
+      } else {
+        [data[`d${count}`]] = parts;
+      }
+      return count;
+    },
+  };
+}
+
+/**
+ * Converts a unit's HTML nodes to XLIFF inline content. Elements with text become paired codes
+ * around it, while other elements (line breaks, images, etc.) become placeholders. Content
+ * marked translate="no", such as protected fragments, and nested blocks (exported as their own
+ * units) become placeholders translators can't copy or delete.
+ *
+ * @param {cheerio.CheerioAPI} $ - The loaded page contents.
+ * @param {cheerio.AnyNode[]} nodes - The nodes to convert.
+ * @param {object} codes - The unit's inline code table.
+ * @param {boolean} [isTarget=false] - Indicates the nodes are the unit's target content.
+ * @returns {string} The XLIFF inline content.
+ */
+function createXLIFFInline($, nodes, codes, isTarget = false) {
+  return nodes.map((node) => {
+    if (node.type === 'text') {
+      return xmlEscape(node.data);
+    }
+    if (isXLIFFNestedBlock($, node)) {
+      const codeID = codes.addCode([XLIFF_BLOCK_PLACEHOLDER], isTarget);
+      return `<ph id="${codeID}" dataRef="d${codeID}" canCopy="no" canDelete="no" canReorder="no"/>`;
+    }
+    const $node = $(node);
+    const isProtected = $node.attr('translate') === 'no';
+    if (node.type !== 'tag' || isProtected || $node.text().length === 0) {
+      const codeID = codes.addCode([$.html(node)], isTarget);
+      const protection = isProtected ? ' canCopy="no" canDelete="no"' : '';
+      return `<ph id="${codeID}" dataRef="d${codeID}"${protection}/>`;
+    }
+    const attrs = Object.entries(node.attribs).map(([name, value]) => (
+      ` ${name}="${value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`
+    )).join('');
+    const codeID = codes.addCode([`<${node.tagName}${attrs}>`, `</${node.tagName}>`], isTarget);
+    const inner = createXLIFFInline($, $node.contents().toArray(), codes, isTarget);
+    return `<pc id="${codeID}" dataRefStart="d${codeID}s" dataRefEnd="d${codeID}e">${inner}</pc>`;
+  }).join('');
+}
+
+/**
+ * Creates the XLIFF file entry for a translated page, pairing each unit of the page's
+ * pre-processed source with the same unit of the machine translation. The translation, with its
+ * units marked, is saved as the page's skeleton to rebuild the page from on import.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {object} jobMetadata - The translation job's output details for the target language.
+ * @param {object} detail - The translation job's details for the page.
+ * @param {string} skeletonPrefix - The S3 key prefix to save the page's skeleton under.
+ * @returns {Promise<object|null>} The page's identifier, original file name, skeleton key, and
+ *  units, or null if the page couldn't be exported.
+ */
+async function createPageXLIFF(s3Client, jobMetadata, detail, skeletonPrefix) {
+  const pageKey = detail.sourceFile.replace(/\.html$/, '');
+  try {
+    const sourceContents = await getFileContents(
+      s3Client,
+      process.env.AWS_S3_INPUT_BUCKET,
+      `${jobMetadata.inputDataPrefix}${detail.sourceFile}`,
+    );
+    const targetContents = await getFileContents(
+      s3Client,
+      process.env.AWS_S3_OUTPUT_BUCKET,
+      `${jobMetadata.outputDataPrefix}${detail.targetFile}`,
+    );
+    if (!isNonEmptyString(sourceContents) || !isNonEmptyString(targetContents)) {
+      throw (new Error('Source or translated contents not found.'));
+    }
+    const $source = cheerio.load(sourceContents, { decodeEntities: true }, false);
+    const $target = cheerio.load(targetContents, { decodeEntities: true }, false);
+    const sourceUnits = findXLIFFUnits($source);
+    const targetUnits = findXLIFFUnits($target);
+    if (sourceUnits.length !== targetUnits.length) {
+      throw (new Error(`Source has ${sourceUnits.length} units, but translation has ${targetUnits.length}.`));
+    }
+    const units = sourceUnits.map((sourceElem, idx) => {
+      const unitID = `u${idx + 1}`;
+      const codes = createXLIFFCodeTable();
+      const source = createXLIFFInline($source, $source(sourceElem).contents().toArray(), codes);
+      const $targetElem = $target(targetUnits[idx]);
+      const target = createXLIFFInline($target, $targetElem.contents().toArray(), codes, true);
+      $targetElem.attr('data-libre-unit', unitID);
+      return {
+        id: unitID,
+        name: sourceElem.tagName,
+        source,
+        target,
+        data: codes.data,
+      };
+    });
+    const skeletonKey = `${skeletonPrefix}${pageKey}.html`;
+    const saveRes = await s3Client.send(new PutObjectCommand({
+      Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+      Key: skeletonKey,
+      Body: Buffer.from($target.html()),
+      ContentType: 'text/html',
+    }));
+    if (saveRes.$metadata?.httpStatusCode !== 200) {
+      throw (new Error('Unknown error encountered using S3 API.'));
+    }
+    return {
+      pageKey,
+      original: detail.sourceFile,
+      skeletonKey,
+      units,
+    };
+  } catch (e) {
+    console.warn(`[EXPORT XLIFF] Warning: Couldn't export ${pageKey}:`);
+    console.warn(e);
+  }
+  return null;
+}
+
+/**
+ * Creates an XLIFF 2.0 document from the exported pages, with a file element for each page.
+ *
+ * @param {string} sourceLanguage - The language code of the original content.
+ * @param {string} language - The language code the text was translated to.
+ * @param {object[]} files - The exported pages.
+ * @returns {string} The XLIFF document.
+ */
+function createXLIFFDocument(sourceLanguage, language, files) {
+  const fileElems = files.map((file) => {
+    const unitElems = file.units.map((unit) => {
+      const dataElems = Object.entries(unit.data).map(([dataID, markup]) => (
+        `<data id="${dataID}">${xmlEscape(markup)}</data>`
+      ));
+      return [
+        `  <unit id="${unit.id}" name="${unit.name}">`,
+        ...(dataElems.length > 0 ? [`   <originalData>${dataElems.join('')}</originalData>`] : []),
+        `   <segment><source>${unit.source}</source><target>${unit.target}</target></segment>`,
+        '  </unit>',
+      ].join('\n');
+    });
+    return [
+      ` <file id="${xmlEscape(file.pageKey)}" original="${xmlEscape(file.original)}">`,
+      `  <skeleton href="${xmlEscape(file.skeletonKey)}"/>`,
+      ...unitElems,
+      ' </file>',
+    ].join('\n');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="${XLIFF_NAMESPACE}" version="2.0" srcLang="${xmlEscape(sourceLanguage)}" trgLang="${xmlEscape(language)}">`,
+    ...fileElems,
+    '</xliff>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Exports a job's machine translation for a target language to an XLIFF 2.0 file in the output
+ * bucket, for translators to post-edit in their CAT tools. Pages whose translation doesn't have
+ * the same units as their source are left out.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {object} jobMetadata - The translation job's output details for the target language.
+ * @param {object} inputMetadata - Original Engine input metadata object.
+ * @param {string} language - The language code the text was translated to.
+ * @returns {Promise<XLIFFExport|null>} Information about the export, or null if error
+ *  encountered.
+ */
+async function exportXLIFF(s3Client, jobMetadata, inputMetadata, language) {
+  const coverID = `${jobMetadata.lib}-${jobMetadata.id}`;
+  const { jobID } = inputMetadata;
+  const sourceLanguage = inputMetadata.sourceLanguage || jobMetadata.sourceLanguageCode;
+  console.log(`[EXPORT XLIFF] Exporting "${language}" translation...`);
+  const details = jobMetadata.details.filter((detail) => (
+    isNonEmptyString(detail.targetFile) && !detail.auxiliaryData?.error
+  ));
+  const files = await async.mapLimit(details, MAX_CONCURRENT, async (detail) => (
+    createPageXLIFF(s3Client, jobMetadata, detail, `xliff/${jobID}/${language}/`)
+  ));
+  const exported = files.filter((file) => file !== null);
+  const key = getXLIFFKey(jobID, coverID, language);
+  try {
+    const saveRes = await s3Client.send(new PutObjectCommand({
+      Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+      Key: key,
+      Body: Buffer.from(createXLIFFDocument(sourceLanguage, language, exported)),
+      ContentType: 'application/xliff+xml',
+    }));
+    if (saveRes.$metadata?.httpStatusCode !== 200) {
+      throw (new Error('Unknown error encountered using S3 API.'));
+    }
+  } catch (e) {
+    console.error('[EXPORT XLIFF] Error saving XLIFF file:');
+    console.error(e);
+    return null;
+  }
+  const unitCount = exported.reduce((count, file) => count + file.units.length, 0);
+  console.log(`[EXPORT XLIFF] Exported ${unitCount} units from ${exported.length} pages to "${key}".`);
+  return {
+    key,
+    pageCount: exported.length,
+    unitCount,
+    skipped: details
+      .filter((_detail, idx) => files[idx] === null)
+      .map((detail) => detail.sourceFile.replace(/\.html$/, '')),
+  };
+}
+
+/**
+ * Converts XLIFF inline content back to HTML, replacing inline codes with their original markup.
+ * Annotations and other elements added by CAT tools are unwrapped.
+ *
+ * @param {cheerio.CheerioAPI} $ - The loaded XLIFF document.
+ * @param {cheerio.AnyNode[]} nodes - The nodes to convert.
+ * @param {Object<string, string>} data - The unit's original markup, by data ID.
+ * @returns {string} The HTML content.
+ */
+function parseXLIFFInline($, nodes, data) {
+  return nodes.map((node) => {
+    if (node.type === 'text') {
+      return xmlEscape(node.data);
+    }
+    if (node.type !== 'tag') {
+      return '';
+    }
+    const $node = $(node);
+    if (['ph', 'sc', 'ec'].includes(node.tagName)) {
+      return data[$node.attr('dataRef')] ?? '';
+    }
+    const inner = parseXLIFFInline($, $node.contents().toArray(), data);
+    if (node.tagName === 'pc') {
+      return `${data[$node.attr('dataRefStart')] ?? ''}${inner}${data[$node.attr('dataRefEnd')] ?? ''}`;
+    }
+    return inner;
+  }).join('');
+}
+
+/**
+ * Retrieves the reviewed translation of a text from an XLIFF 2.x file exported by the engine,
+ * rebuilding each page from its skeleton. Units without a target keep the machine translation,
+ * and so do pages that aren't in the file (e.g., skipped by the export). Pages that couldn't be
+ * rebuilt are recorded for the page report. Skeletons are found from the job and page, never from
+ * the (editable) file's references, and files for pages that aren't in the text are ignored.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {object} jobMetadata - The translation job's output details for the target language,
+ *  with the S3 key of the XLIFF file in the output bucket.
+ * @param {object} inputMetadata - Original Engine input metadata object.
+ * @param {string} language - The language code the text was translated to.
+ * @returns {Promise<Array<LibreTranslatedPage|null>|null>} The translated pages (null for each
+ *  page that couldn't be rebuilt), or null if the XLIFF file couldn't be read.
+ */
+async function retrieveXLIFFPages(s3Client, jobMetadata, inputMetadata, language) {
+  const { xliffKey } = jobMetadata;
+  let $;
+  try {
+    console.log(`[IMPORT XLIFF] Reading "${xliffKey}"...`);
+    const xliffContents = await getFileContents(
+      s3Client,
+      process.env.AWS_S3_OUTPUT_BUCKET,
+      xliffKey,
+    );
+    if (!isNonEmptyString(xliffContents)) {
+      throw (new Error('XLIFF file not found.'));
+    }
+    $ = cheerio.load(xliffContents, { xmlMode: true, decodeEntities: true });
+    if ($('xliff').attr('version')?.startsWith('2.') !== true) {
+      throw (new Error('Only XLIFF 2.x files are supported.'));
+    }
+  } catch (e) {
+    console.error('[IMPORT XLIFF] Error reading XLIFF file:');
+    console.error(e);
+    return null;
+  }
+  const pageKeys = new Set(inputMetadata.allPages.map((page) => `${page.lib}-${page.id}`));
+  const files = $('file').toArray().filter((file) => {
+    const known = pageKeys.has($(file).attr('id'));
+    if (!known) {
+      console.warn(`[IMPORT XLIFF] Warning: Ignoring file "${$(file).attr('id')}", which isn't a page of the text.`);
+    }
+    return known;
+  });
+  const reviewedPages = await async.mapLimit(files, MAX_CONCURRENT, async (file) => {
+    const $file = $(file);
+    const pageKey = $file.attr('id');
+    try {
+      const skeleton = await getFileContents(
+        s3Client,
+        process.env.AWS_S3_OUTPUT_BUCKET,
+        `xliff/${inputMetadata.jobID}/${language}/${pageKey}.html`,
+      );
+      if (!isNonEmptyString(skeleton)) {
+        throw (new Error('Page skeleton not found.'));
+      }
+      const $page = cheerio.load(skeleton, { decodeEntities: true }, false);
+      $file.find('unit').each((_idx, unit) => {
+        const $unit = $(unit);
+        const data = Object.fromEntries($unit.find('originalData > data').toArray().map((elem) => (
+          [$(elem).attr('id'), $(elem).text()]
+        )));
+        /* CAT tools may split a unit into several segments, with ignorable whitespace between */
+        const parts = $unit.children('segment, ignorable').toArray().map((part) => {
+          const $part = $(part);
+          let $content = $part.children('target');
+          if ($content.length === 0 && part.tagName === 'ignorable') {
+            $content = $part.children('source');
+          }
+          if ($content.length === 0) {
+            return null;
+          }
+          return parseXLIFFInline($, $content.contents().toArray(), data);
+        });
+        const $elem = $page(`[data-libre-unit="${$unit.attr('id')}"]`).first();
+        if ($elem.length === 0 || parts.length === 0 || parts.some((part) => part === null)) {
+          return;
+        }
+        /* nested blocks are kept from the skeleton, in their original order */
+        const blocks = $elem.contents().toArray().filter((node) => isXLIFFNestedBlock($page, node));
+        $elem.html(parts.join(''));
+        const placeholders = $elem.find(XLIFF_BLOCK_PLACEHOLDER_NAME).toArray();
+        placeholders.forEach((placeholder, idx) => {
+          $page(placeholder).replaceWith(blocks[idx] ?? '');
+        });
+        $elem.append(blocks.slice(placeholders.length));
+      });
+      $page('[data-libre-unit]').removeAttr('data-libre-unit');
+      const translatedPage = processTranslatedContent($page.html());
+      if (translatedPage === null) {
+        throw (new Error('Rebuilt page couldn\'t be processed.'));
+      }
+      return translatedPage;
+    } catch (e) {
+      console.error(`[IMPORT XLIFF] Error importing ${pageKey}:`);
+      console.error(e);
+      pageReport[pageKey] = {
+        status: 'parse-failed',
+        error: 'Reviewed content couldn\'t be imported from XLIFF.',
+      };
+    }
+    return null;
+  });
+  if (!Array.isArray(jobMetadata.details)) {
+    return reviewedPages;
+  }
+  const reviewedKeys = files.map((file) => $(file).attr('id'));
+  const missingDetails = jobMetadata.details.filter((detail) => (
+    !reviewedKeys.includes(detail.sourceFile?.replace(/\.html$/, ''))
+  ));
+  if (missingDetails.length > 0) {
+    console.log(`[IMPORT XLIFF] ${missingDetails.length} pages aren't in the XLIFF file, using their machine translation.`);
+  }
+  const machinePages = await retrieveTranslatedPages(s3Client, {
+    ...jobMetadata,
+    details: missingDetails,
+  });
+  return [...reviewedPages, ...machinePages];
+}
+
+/**
+ * Saves a job's translated text for one of its target languages to the target library, then
+ * saves the target's page report and translation state and notifies the requester.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {object} jobMetadata - The translation job's output details for the target language.
+ * @param {object} inputMetadata - Original Engine input metadata object, for the target.
+ * @param {string} language - The language code the text was translated to.
+ * @param {boolean} [resume=false] - Continue from the target's creation ledger.
+ * @returns {Promise<object>} The outcome of the save, with a success flag, the page report's key,
+ *  and page counts.
+ */
+async function saveTranslatedLanguage(
+  s3Client,
+  jobMetadata,
+  inputMetadata,
+  language,
+  resume = false,
+) {
+  const { lib, id } = jobMetadata;
+  const sourceCoverID = `${lib}-${id}`;
+  const {
+    targetLib,
+    targetPath,
+    notifyAddrs,
+    jobID,
+    sourceLanguageDetected,
+  } = inputMetadata;
+  const sourceLanguage = inputMetadata.sourceLanguage || jobMetadata.sourceLanguageCode;
+  console.log(`[PROCESS TRANSLATED] Saving "${language}" translation to ${targetLib}/${targetPath}...`);
+  targetLibName = targetLib;
+  const trgtParams = await retrieveLibraryParameters();
+  if (!trgtParams) {
+    console.error(`[PROCESS TRANSLATED] Couldn't retrieve keys for target library "${targetLib}".`);
+    return { success: false, error: 'Couldn\'t retrieve library keys.' };
+  }
+
+  pageReport = {};
+  protectionIssues = {};
+  translatedSegments = {};
+  /* reviewed translations imported from XLIFF replace the provider's output */
+  const translatedPages = isNonEmptyString(jobMetadata.xliffKey)
+    ? await retrieveXLIFFPages(s3Client, jobMetadata, inputMetadata, language)
+    : await retrieveTranslatedPages(s3Client, jobMetadata);
+  if (translatedPages === null) {
+    return { success: false, error: `Couldn't read "${language}" XLIFF file.` };
+  }
+  const untranslated = jobMetadata.untranslated === true && !isNonEmptyString(jobMetadata.xliffKey);
+  if (untranslated) {
+    console.warn(`[PROCESS TRANSLATED] No local translation server was configured, so the "${language}" pages are copies of the source text.`);
+  }
+  const pageStructure = mergeInputStructure(inputMetadata, translatedPages);
+  if (isTranslationMemoryEnabled() && !untranslated) {
+    await saveTranslationMemory(
+      s3Client,
+      sourceLanguage,
+      language,
+      translatedSegments,
+      inputMetadata.glossary,
+    );
+  }
+  let saveParentPath = targetPath;
+  if (inputMetadata.subtree === true && Array.isArray(inputMetadata.ancestry)) {
+    saveParentPath = await resolveGraftPath(targetLib, targetPath, inputMetadata.ancestry);
+    if (saveParentPath === null) {
+      return {
+        success: false,
+        error: 'Couldn\'t find the subtree\'s position in the translated text.',
+      };
+    }
+  }
+  reviewMode = inputMetadata.review || null;
+  const reviewKey = getReviewStateKey(sourceCoverID, targetLib, language);
+  if (reviewMode !== null && (await retrieveReviewState(s3Client, reviewKey))?.status === 'approved') {
+    console.log('[REVIEW] Translation was already approved, saving it in place.');
+    reviewMode = null;
+  }
+  const hasPreviousTranslation = inputMetadata.allPages.some((page) => (
+    isNonEmptyString(page.previousTargetPath)
+  ));
+  if (reviewMode === 'staging' && (inputMetadata.subtree === true || hasPreviousTranslation)) {
+    console.warn('[REVIEW] Staging can\'t update an existing translation or graft a subtree, tagging pages for review instead.');
+    reviewMode = 'tag';
+  }
+  let stagingPath;
+  if (reviewMode === 'staging') {
+    const stagingRoot = process.env.TARGET_STAGING_PATH || 'Sandboxes/Polyglot_Engine_Staging';
+    stagingPath = assembleUrl([stagingRoot, `${jobID || Date.now()}-${language}`]);
+    if (!await createStagingPage(targetLib, stagingPath)) {
+      return { success: false, error: 'Couldn\'t create the staging page.' };
+    }
+    saveParentPath = stagingPath;
+  }
+  ledgerKey = getLedgerKey(sourceCoverID, targetLib, language);
+  ledger = null;
+  if (resume) {
+    console.log('[PROCESS TRANSLATED] Resuming from creation ledger...');
+    ledger = await retrieveLedger(s3Client, ledgerKey);
+  }
+  if (ledger === null) {
+    ledger = {
+      jobID,
+      targetLib,
+      pages: {},
+    };
+  }
+  ledger.status = 'in-progress';
+  ledgerLost = false;
+  await saveLedger();
+  if (ledgerLost) {
+    return { success: false, error: 'Couldn\'t save the creation ledger.' };
+  }
+
+  savedPages = {};
+  copiedAttachments = {};
+  failedPageCount = 0;
+  skippedPageCount = 0;
+  sourcePageKeys = new Set(inputMetadata.allPages.map((page) => `${page.lib}-${page.id}`));
+  const saveSuccess = await saveToLibrary(pageStructure, {
+    targetLib,
+    targetPath: saveParentPath,
+    writePolicy: inputMetadata.writePolicy,
+  });
+  console.log('[REWRITE LINKS] Rewriting links between translated pages...');
+  unresolvedLinks = {};
+  const linksUpdated = await rewriteInternalLinks(
+    pageStructure,
+    targetLib,
+    buildLinkTargets(inputMetadata),
+  );
+  console.log(`[REWRITE LINKS] Updated links in ${linksUpdated} pages.`);
+  await ledgerWrites;
+  /*
+   * Only a failed root page or a lost ledger undoes the run. Pages that failed on their own are
+   * reported, and the pages saved around them are kept so the failures can be retried.
+   */
+  const fatalFailure = !saveSuccess || ledgerLost;
+  const runSuccess = !fatalFailure && failedPageCount === 0 && Object.keys(pageReport).length === 0;
+  const onFailure = inputMetadata.onFailure || 'keep';
+  let rolledBack = [];
+  if (runSuccess) {
+    ledger.status = 'completed';
+    await saveLedger();
+  } else if (fatalFailure && (onFailure === 'delete' || onFailure === 'quarantine')) {
+    console.error(`[PROCESS TRANSLATED] Run failed, rolling back created pages (${onFailure})...`);
+    rolledBack = await rollbackCreatedPages(targetLib, onFailure, jobID);
+    rolledBack.forEach((pageKey) => delete savedPages[pageKey]);
+  } else {
+    await saveLedger();
+  }
+  let review = null;
+  if (reviewMode !== null) {
+    const rootPage = pageStructure ? savedPages[`${pageStructure.lib}-${pageStructure.id}`] : null;
+    review = {
+      jobID,
+      mode: reviewMode,
+      targetLib,
+      targetPath: reviewMode === 'staging' ? targetPath : saveParentPath,
+      ...(stagingPath && { stagingPath }),
+      ...(rootPage && {
+        root: { targetID: rootPage.targetID, relativePath: rootPage.relativePath },
+      }),
+      pages: Object.values(savedPages)
+        .filter((page) => !page.unchanged && !page.skipped)
+        .map((page) => page.targetID),
+      status: 'pending',
+    };
+    await saveReviewState(s3Client, reviewKey, review);
+  }
+  const previousState = await retrieveTranslationState(s3Client, inputMetadata, language);
+  const removedPages = findRemovedPages(previousState, inputMetadata);
+  const report = createPageReport(inputMetadata, language, removedPages, untranslated);
+  const reportKey = await savePageReport(s3Client, report);
+  const pageCounts = {
+    translated: translatedPages.filter((page) => page !== null).length,
+    saved: Object.values(savedPages).filter((page) => !page.unchanged && !page.skipped).length,
+    skipped: skippedPageCount,
+    failed: failedPageCount,
+    rolledBack: rolledBack.length,
+    mtFailed: report.summary['mt-failed'] || 0,
+    parseFailed: report.summary['parse-failed'] || 0,
+    orphaned: report.summary.orphaned || 0,
+  };
+  await saveTranslationState(s3Client, inputMetadata, language, previousState, removedPages);
+  const notifyPath = review?.stagingPath || targetPath;
+  await sendCompletionNotification(notifyAddrs, lib, id, targetLib, notifyPath, {
+    sourceLanguage,
+    sourceLanguageDetected,
+    targetLanguage: language,
+    success: runSuccess,
+    report,
+    awaitingReview: review !== null,
+  });
+  return {
+    success: runSuccess,
+    reportKey,
+    pageCounts,
+    ...(review !== null && {
+      review: { mode: review.mode, stagingPath: review.stagingPath, status: review.status },
+    }),
+    ...(untranslated && { untranslated }),
+    ...(!runSuccess && { error: `Error encountered saving "${language}" translated text.` }),
+  };
+}
+
+/**
+ * Requests that each of a job's target languages be saved in its own ProcessTranslated
+ * invocation, by publishing a copy of the triggering event for each language.
+ *
+ * @param {object} eventDetails - The Lambda trigger event details.
+ * @param {string[]} languages - The language codes to save.
+ * @returns {Promise<boolean>} True if every event was published, false otherwise.
+ */
+async function sendLanguageEvents(eventDetails, languages) {
+  try {
+    const eventsClient = new EventBridgeClient({ region: process.env.AWS_ENGINE_REGION });
+    const batches = [];
+    for (let i = 0, n = languages.length; i < n; i += MAX_EVENTS_PER_REQUEST) {
+      batches.push(languages.slice(i, i + MAX_EVENTS_PER_REQUEST));
+    }
+    await async.eachSeries(batches, async (batch) => {
+      const eventRes = await eventsClient.send(new PutEventsCommand({
+        Entries: batch.map((language) => ({
+          Source: 'libretexts.polyglot',
+          DetailType: 'Translate TextTranslationJob State Change',
+          Detail: JSON.stringify({
+            ...eventDetails,
+            language,
+            ...(Array.isArray(eventDetails.languages) && { languages: [language] }),
+          }),
+          EventBusName: process.env.AWS_EVENTBRIDGE_BUS_NAME,
+        })),
+      }));
+      if (eventRes.FailedEntryCount > 0) {
+        throw (new Error('Error publishing event.'));
+      }
+    });
+    return true;
+  } catch (e) {
+    console.error('[LANGUAGE EVENTS] Error publishing language events:');
+    console.error(e);
+  }
+  return false;
+}
+
+/**
+ * Builds the job record update for the outcome of saving one target language, merged with the
+ * outcomes of the job's other languages (each saved in its own invocation). The job's status
+ * only changes once every language has finished: completed (or awaiting review) if all of them
+ * were saved, failed otherwise.
+ *
+ * @param {object} record - The current job record.
+ * @param {string[]} languages - The job's target language codes.
+ * @param {string} language - The language code the outcome is for.
+ * @param {object} outcome - The outcome of saving the language.
+ * @param {string} outcome.status - 'completed' or 'failed'.
+ * @param {string} [outcome.reportKey] - The S3 key of the language's page report.
+ * @param {object} [outcome.pageCounts] - The language's page counts.
+ * @param {object} [outcome.review] - The language's review state, if held for review.
+ * @param {boolean} [outcome.untranslated] - If the saved pages are copies of the source text.
+ * @param {string} [outcome.error] - An error message to add to the record.
+ * @param {object} [outcome.apiStats] - The run's API request statistics.
+ * @returns {object} The job record update.
+ */
+function createLanguageRecordUpdate(record, languages, language, outcome) {
+  const languageStatus = { ...record.languageStatus, [language]: outcome.status };
+  const languagePageCounts = {
+    ...record.languagePageCounts,
+    ...(outcome.pageCounts && { [language]: outcome.pageCounts }),
+  };
+  const { [language]: previousReview, ...review } = record.review || {};
+  if (outcome.review) {
+    review[language] = outcome.review;
+  }
+  const pageCounts = {};
+  Object.values(languagePageCounts).forEach((counts) => {
+    Object.entries(counts).forEach(([countName, count]) => {
+      pageCounts[countName] = (pageCounts[countName] || 0) + count;
+    });
+  });
+  let status;
+  if (languages.every((code) => ['completed', 'failed'].includes(languageStatus[code]))) {
+    const awaitingReview = Object.values(review).some((item) => item.status === 'pending');
+    status = awaitingReview ? 'awaiting-review' : 'completed';
+    if (languages.some((code) => languageStatus[code] === 'failed')) {
+      status = 'failed';
+    }
+  }
+  return {
+    ...(status && { status }),
+    pageCounts,
+    ...(outcome.error && { error: outcome.error }),
+    details: {
+      reports: {
+        ...record.reports,
+        ...(outcome.reportKey && { [language]: outcome.reportKey }),
+      },
+      languageStatus,
+      languagePageCounts,
+      ...(outcome.apiStats && {
+        saveAPIStats: { ...record.saveAPIStats, [language]: outcome.apiStats },
+      }),
+      ...(outcome.untranslated && {
+        untranslated: [...new Set([...(record.untranslated || []), language])],
+      }),
+      ...((record.review || Object.keys(review).length > 0) && { review }),
+    },
+  };
+}
+
+/**
+ * Main driver function for processing translated content and saving it to a LibreTexts library.
+ * A job with several target languages is split into one invocation for each language; the job
+ * only completes once all of them were saved successfully. Alternatively, the translation can be
+ * exported to XLIFF for review ('export' mode), or the reviewed XLIFF saved in place of the
+ * provider's output ('import' mode). A translation held for review is published once it's
+ * approved.
+ *
+ * @param {object} eventDetails - The Lambda trigger event details.
+ * @returns {Promise<boolean>} True if process succeeded, false otherwise.
+ */
+async function processTranslated(eventDetails) {
+  if (!isNonEmptyString(eventDetails.jobId)) {
+    console.error('[PROCESS TRANSLATED] Initating job identifier found or invalid.');
+    return false;
+  }
+  if (!axiosInstance) {
+    axiosInstance = addRateLimiting(axios.create({
+      httpsAgent: new https.Agent({ keepAlive: true }),
+    }));
+  }
+  resetAPIStats();
+
+  const s3Client = new S3Client({
+    credentials: {
+      accessKeyId: process.env.AWS_S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_S3_SECRET_ACCESS_KEY,
+    },
+    region: process.env.AWS_ENGINE_REGION,
+  });
+  const importXLIFF = eventDetails.xliff === 'import';
+  const approve = eventDetails.review === 'approve';
+  let languageOutputs = [];
+  let sourceCoverID = eventDetails.coverID;
+  if (importXLIFF && !Array.isArray(eventDetails.languages)) {
+    console.error('[PROCESS TRANSLATED] XLIFF import is missing the languages to import.');
+    return false;
+  }
+  /* imports also need the machine translation, for pages left out of the XLIFF file */
+  if (!approve) {
+    const providerName = eventDetails.provider || 'aws'; // Translate events don't name a provider
+    const provider = translationProviders[providerName];
+    if (!provider) {
+      console.error(`[PROCESS TRANSLATED] Unknown translation provider "${providerName}".`);
+      return false;
+    }
+    const transOutputURIs = await getTranslationDetailsURIs(provider, eventDetails.jobId);
+    if (transOutputURIs === null) {
+      return false; // error logged in previous call
+    }
+    /* only fetch the output of the languages this invocation handles */
+    let wantedLanguages = null;
+    if (isNonEmptyString(eventDetails.language)) {
+      wantedLanguages = [eventDetails.language];
+    } else if (importXLIFF) {
+      wantedLanguages = eventDetails.languages;
+    }
+    const wantedOutputURIs = Object.entries(transOutputURIs).filter(([language]) => (
+      wantedLanguages === null || wantedLanguages.includes(language)
+    ));
+    if (wantedOutputURIs.length === 0) {
+      console.error('[PROCESS TRANSLATED] Translation job has no output for the requested languages.');
+      return false;
+    }
+    languageOutputs = await async.mapSeries(wantedOutputURIs, async ([language, uri]) => ({
+      language,
+      jobMetadata: await provider.fetchOutput(s3Client, uri),
+    }));
+    if (languageOutputs.some(({ jobMetadata }) => jobMetadata === null)) {
+      return false; // error logged in previous call
+    }
+    const { lib, id } = languageOutputs[0].jobMetadata;
+    sourceCoverID = `${lib}-${id}`;
+  } else if (!isNonEmptyString(sourceCoverID)) {
+    console.error('[PROCESS TRANSLATED] Event is missing the text\'s identifier.');
+    return false;
+  }
+  const inputMetadata = await retrieveInputMetadata(
+    s3Client,
+    `${sourceCoverID}/${sourceCoverID}.metadata.json`,
+  );
+  if (inputMetadata === null) {
+    return false; // error logged in previous call
+  }
+
+  const { lib: sourceLib, jobID } = inputMetadata;
+  if (eventDetails.xliff === 'export') {
+    const exports = {};
+    await async.eachSeries(languageOutputs, async ({ language, jobMetadata }) => {
+      exports[language] = await exportXLIFF(s3Client, jobMetadata, inputMetadata, language);
+    });
+    await updateJobRecord(jobID, { details: { xliff: exports } });
+    return Object.values(exports).every((result) => result !== null);
+  }
+  if (approve) {
+    await updateJobRecord(jobID, { status: 'publishing' });
+    const review = {};
+    const approveErrors = [];
+    await async.eachSeries(getMetadataTargets(inputMetadata), async (target) => {
+      const result = await approveReviewedLanguage(
+        s3Client,
+        createTargetMetadata(inputMetadata, target),
+        target.language,
+      );
+      if (result.review) {
+        review[target.language] = {
+          mode: result.review.mode,
+          stagingPath: result.review.stagingPath,
+          status: result.review.status,
+        };
+      }
+      if (result.error) {
+        approveErrors.push(result.error);
+      }
+    });
+    const approveSuccess = approveErrors.length === 0;
+    /* a failed approval stays awaiting review, so it can be approved again */
+    await updateJobRecord(jobID, {
+      status: approveSuccess ? 'completed' : 'awaiting-review',
+      ...(!approveSuccess && { error: approveErrors.join(' ') }),
+      details: { review },
+    });
+    return approveSuccess;
+  }
+  if (importXLIFF) {
+    const [lib, id] = sourceCoverID.split('-');
+    languageOutputs = eventDetails.languages.map((language) => ({
+      language,
+      jobMetadata: {
+        lib,
+        id,
+        sourceLanguageCode: inputMetadata.sourceLanguage,
+        ...languageOutputs.find((output) => output.language === language)?.jobMetadata,
+        xliffKey: getXLIFFKey(jobID, sourceCoverID, language),
+      },
+    }));
+  }
+  if (isNonEmptyString(eventDetails.language)) {
+    languageOutputs = languageOutputs.filter(({ language }) => (
+      language === eventDetails.language
+    ));
+  }
+  if (languageOutputs.length > 1) {
+    /* each language gets its own invocation, and its own time limit */
+    const languages = languageOutputs.map(({ language }) => language);
+    console.log(`[PROCESS TRANSLATED] Saving ${languages.join(', ')} in separate invocations...`);
+    await updateJobRecord(jobID, (record) => ({
+      status: 'saving',
+      details: {
+        languageStatus: {
+          ...record.languageStatus,
+          ...Object.fromEntries(languages.map((language) => [language, 'saving'])),
+        },
+      },
+    }));
+    const requested = await sendLanguageEvents(eventDetails, languages);
+    if (!requested) {
+      await updateJobRecord(jobID, {
+        status: 'failed',
+        error: 'Couldn\'t start saving each language.',
+      });
+    }
+    return requested;
+  }
+  if (languageOutputs.length === 0) {
+    console.error(`[PROCESS TRANSLATED] No translated output found for language "${eventDetails.language}".`);
+    return false;
+  }
+
+  const [{ language, jobMetadata }] = languageOutputs;
+  const targets = getMetadataTargets(inputMetadata);
+  const targetLanguages = targets.map((item) => item.language ?? language);
+  const finishLanguage = async (outcome) => {
+    await updateJobRecord(jobID, (record) => createLanguageRecordUpdate(
+      record,
+      targetLanguages,
+      language,
+      { ...outcome, apiStats: logAPIStats() },
+    ));
+    return outcome.status === 'completed';
+  };
+  await updateJobRecord(jobID, (record) => ({
+    ...(record.status !== 'saving' && { status: 'saving' }),
+    details: { languageStatus: { ...record.languageStatus, [language]: 'saving' } },
+  }));
+  sourceLibName = sourceLib;
+  const srcParams = await retrieveLibraryParameters(true);
+  if (!srcParams) {
+    console.error('Fatal Error: Couldn\'t retrieve library keys.');
+    return finishLanguage({ status: 'failed', error: 'Couldn\'t retrieve library keys.' });
+  }
+
+  const target = targets.find((item) => item.language === language)
+    || (targets.length === 1 && targets[0].language === null ? targets[0] : null);
+  if (!target) {
+    console.error(`[PROCESS TRANSLATED] No target found for language "${language}".`);
+    return finishLanguage({
+      status: 'failed',
+      error: `No target found for language "${language}".`,
+    });
+  }
+  if (eventDetails.resume === true) {
+    const previousLedger = await retrieveLedger(
+      s3Client,
+      getLedgerKey(sourceCoverID, target.targetLib, language),
+    );
+    if (previousLedger?.status === 'completed') {
+      console.log(`[PROCESS TRANSLATED] "${language}" translation was already saved.`);
+      return finishLanguage({
+        status: 'completed',
+        reportKey: getPageReportKey(sourceCoverID, target.targetLib, language),
+      });
+    }
+  }
+  const targetMetadata = createTargetMetadata(inputMetadata, target);
+  if (importXLIFF && WRITE_POLICIES.includes(eventDetails.writePolicy)) {
+    targetMetadata.writePolicy = eventDetails.writePolicy;
+  }
+  const result = await saveTranslatedLanguage(
+    s3Client,
+    jobMetadata,
+    targetMetadata,
+    language,
+    eventDetails.resume === true,
+  );
+  if (result.success) {
+    console.log(`[PROCESS TRANSLATED] Successfuly processed "${language}" translated text.`);
+  } else {
+    console.error(`[PROCESS TRANSLATED] Error encountered saving "${language}" translated text.`);
+  }
+  return finishLanguage({
+    status: result.success ? 'completed' : 'failed',
+    reportKey: result.reportKey,
+    pageCounts: result.pageCounts,
+    review: result.review,
+    untranslated: result.untranslated,
+    error: result.error,
+  });
+}
+
+/**
+ * Exposes the main function to the Lambda execution environment.
+ *
+ * @param {object} event - The event that triggered the Lambda invocation.
+ * @returns {Promise<boolean>} True if process succeeded, false otherwise.
+ */
+export default async function translatedEventHandler(event) {
+  if (!event || !event.detail || event.detail.jobStatus !== 'COMPLETED') {
+    console.error('[HANDLER] Event information is invalid or missing.');
+    return false;
+  }
+  return processTranslated(event.detail);
+}
+
+export {
+  processTranslatedContent,
+  restoreProtectedFragments,
+  getAttachmentFileName,
+  rewritePageLinks,
+  findRemovedPages,
+  createLanguageRecordUpdate,
+  createXLIFFCodeTable,
+  createXLIFFInline,
+  parseXLIFFInline,
+  retrieveXLIFFPages,
+};
@@ -0,0 +1,367 @@
+/**
+ * @file Defines helpers shared by the Polyglot Engine modules, which install this package as a
+ * local dependency.
+ * @author LibreTexts <info@libretexts.org>
+ */
+import { Buffer } from 'buffer';
+import { S3Client, GetObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
+
+const ONE_SECOND = 1000;
+const RATE_LIMIT_HOST_SUFFIX = '.libretexts.org';
+const RATE_LIMIT_MAX = Number.parseFloat(process.env.CXONE_REQUESTS_PER_SECOND) || 2;
+const RATE_LIMIT_MIN = 0.1;
+const RATE_LIMIT_BURST = Number.parseInt(process.env.CXONE_REQUEST_BURST, 10) || 5;
+const RATE_LIMIT_RECOVERY = 0.05; // requests per second regained after each success
+const MAX_RETRIES = 5;
+const MAX_RETRY_DELAY = 60 * 1000;
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN'];
+const RETRYABLE_METHODS = ['get', 'head', 'options']; // others may have taken effect before failing
+const CONDITIONAL_WRITE_ATTEMPTS = 5;
+
+/** How ProcessTranslated handles pages that already exist on the target library. */
+export const WRITE_POLICIES = ['skip', 'overwrite', 'overwrite-if-unedited'];
+/** Lets incremental runs update the engine's own pages, without touching edited ones. */
+export const DEFAULT_WRITE_POLICY = 'overwrite-if-unedited';
+
+const rateLimiters = {}; // kept across invocations to remember hosts' throttling
+let sharedS3Client = null; // reused across invocations
+let apiStats = {};
+let apiStatsStart = Date.now();
+
+/**
+ * A token bucket limiting the rate of requests to a single host.
+ *
+ * @typedef {object} RateLimiter
+ * @property {number} tokens - The number of requests that can currently be made immediately.
+ * @property {number} rate - The number of tokens added per second, lowered when the host
+ *  throttles requests and gradually raised again after successful requests.
+ * @property {number} lastRefill - The time tokens were last added, in milliseconds.
+ */
+
+/**
+ * Configures a then-able program execution pause using setTimeout.
+ *
+ * @param {number} ms - The length of time (in milliseconds) to pause program execution.
+ * @returns {Promise<Function>} The setTimeout for the number of specified milliseconds.
+ */
+const snooze = (ms) => new Promise((resolve) => {
+  setTimeout(resolve, ms);
+});
+
+/**
+ * Verifies that a variable is a string and is non-empty (when whitespace is removed).
+ *
+ * @param {string} str - The string to check.
+ * @returns {boolean} True if variable is a string and is non-emtpy, false if
+ * non-empty or non-string.
+ */
+export function isNonEmptyString(str) {
+  return typeof (str) === 'string' && str?.trim().length > 0;
+}
+
+/**
+ * Accepts a Readable and returns its contents as a string.
+ *
+ * @param {object} stream - The Readable stream to parse.
+ * @returns {Promise<string>} The stream's contents.
+ */
+export async function readableToString(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (data) => chunks.push(Buffer.from(data)));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+  });
+}
+
+/**
+ * Retrieves the S3Client used for the engine output bucket, creating it on first use.
+ *
+ * @returns {S3Client} The shared S3Client object.
+ */
+export function getS3Client() {
+  if (!sharedS3Client) {
+    sharedS3Client = new S3Client({
+      credentials: {
+        accessKeyId: process.env.AWS_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_S3_SECRET_ACCESS_KEY,
+      },
+      region: process.env.AWS_ENGINE_REGION,
+    });
+  }
+  return sharedS3Client;
+}
+
+/**
+ * Retrieves (or initializes) the request statistics for a host.
+ *
+ * @param {string} host - The hostname requests were sent to.
+ * @returns {object} The host's request, retry, and throttle counts.
+ */
+function getAPIStats(host) {
+  if (!apiStats[host]) {
+    apiStats[host] = { requests: 0, retries: 0, throttled: 0 };
+  }
+  return apiStats[host];
+}
+
+/**
+ * Clears the request statistics at the start of an invocation.
+ */
+export function resetAPIStats() {
+  apiStats = {};
+  apiStatsStart = Date.now();
+}
+
+/**
+ * Waits until a request to a library host is allowed by the host's token bucket, then
+ * consumes a token.
+ *
+ * @param {string} host - The hostname the request will be sent to.
+ * @returns {Promise<void>} Resolves when the request can be sent.
+ */
+async function acquireRequestToken(host) {
+  if (!rateLimiters[host]) {
+    rateLimiters[host] = { tokens: RATE_LIMIT_BURST, rate: RATE_LIMIT_MAX, lastRefill: Date.now() };
+  }
+  const bucket = rateLimiters[host];
+  const now = Date.now();
+  const refill = ((now - bucket.lastRefill) / ONE_SECOND) * bucket.rate;
+  bucket.tokens = Math.min(RATE_LIMIT_BURST, bucket.tokens + refill);
+  bucket.lastRefill = now;
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return;
+  }
+  await snooze(Math.ceil(((1 - bucket.tokens) / bucket.rate) * ONE_SECOND));
+  await acquireRequestToken(host);
+}
+
+/**
+ * Determines how long to wait before retrying a failed request, respecting the server's
+ * Retry-After header if provided, otherwise using exponential backoff with jitter.
+ *
+ * @param {object} [response] - The failed request's response, if one was received.
+ * @param {number} attempt - The number of retries already made.
+ * @returns {number} The delay in milliseconds.
+ */
+export function getRetryDelay(response, attempt) {
+  const retryAfter = response?.headers?.['retry-after'];
+  if (retryAfter) {
+    const seconds = Number.parseFloat(retryAfter);
+    const delay = Number.isNaN(seconds)
+      ? Date.parse(retryAfter) - Date.now()
+      : seconds * ONE_SECOND;
+    if (!Number.isNaN(delay)) {
+      return Math.min(MAX_RETRY_DELAY, Math.max(0, delay));
+    }
+  }
+  const backoff = ONE_SECOND * (2 ** attempt) + Math.random() * ONE_SECOND;
+  return Math.min(MAX_RETRY_DELAY, backoff);
+}
+
+/**
+ * Checks if a failed request can be retried. Throttled requests (429) were never carried out, so
+ * they're always retried. Server errors and dropped connections are only retried for methods
+ * that don't change anything, since the first attempt may have succeeded (e.g. creating a page).
+ *
+ * @param {object} error - The Axios error of the failed request.
+ * @returns {boolean} True if the request can be retried, false otherwise.
+ */
+export function isRetryableRequest(error) {
+  const { config, response, code } = error;
+  const status = response?.status;
+  if (status === 429) {
+    return true;
+  }
+  if (!RETRYABLE_METHODS.includes((config?.method || 'get').toLowerCase())) {
+    return false;
+  }
+  return status >= 500 || (!response && RETRYABLE_NETWORK_ERRORS.includes(code));
+}
+
+/**
+ * Adds rate limiting (for library hosts) and retries with backoff (for throttled requests, and
+ * server errors and dropped connections on read-only requests) to an Axios instance.
+ *
+ * @param {object} instance - The Axios instance to configure.
+ * @returns {object} The configured instance.
+ */
+export function addRateLimiting(instance) {
+  instance.interceptors.request.use(async (config) => {
+    const { host } = new URL(config.url, config.baseURL);
+    if (host.endsWith(RATE_LIMIT_HOST_SUFFIX)) {
+      await acquireRequestToken(host);
+    }
+    getAPIStats(host).requests += 1;
+    return config;
+  });
+  instance.interceptors.response.use((response) => {
+    const bucket = rateLimiters[new URL(response.config.url, response.config.baseURL).host];
+    if (bucket) {
+      bucket.rate = Math.min(RATE_LIMIT_MAX, bucket.rate + RATE_LIMIT_RECOVERY);
+    }
+    return response;
+  }, async (error) => {
+    const { config, response } = error;
+    if (!config) {
+      throw error;
+    }
+    const status = response?.status;
+    const attempt = config.retryCount || 0;
+    if (!isRetryableRequest(error) || attempt >= MAX_RETRIES) {
+      throw error;
+    }
+    const { host } = new URL(config.url, config.baseURL);
+    const stats = getAPIStats(host);
+    stats.retries += 1;
+    if (status === 429) {
+      stats.throttled += 1;
+      const bucket = rateLimiters[host];
+      if (bucket) {
+        bucket.rate = Math.max(RATE_LIMIT_MIN, bucket.rate / 2);
+      }
+    }
+    const delay = getRetryDelay(response, attempt);
+    console.warn(`[RATE LIMIT] ${status || error.code} from ${host}, retrying in ${Math.round(delay)} ms (attempt ${attempt + 1} of ${MAX_RETRIES})...`);
+    await snooze(delay);
+    return instance({ ...config, retryCount: attempt + 1 });
+  });
+  return instance;
+}
+
+/**
+ * Logs the throughput and retry counts of requests made during the invocation.
+ *
+ * @returns {object} The statistics for each host, with throughput in requests per second.
+ */
+export function logAPIStats() {
+  const elapsedSeconds = Math.max(1, (Date.now() - apiStatsStart) / ONE_SECOND);
+  const summary = {};
+  Object.entries(apiStats).forEach(([host, stats]) => {
+    const throughput = Number((stats.requests / elapsedSeconds).toFixed(2));
+    summary[host] = { ...stats, throughput };
+    console.log(`[API STATS] ${host}: ${stats.requests} requests (${throughput}/s), ${stats.retries} retries, ${stats.throttled} throttled.`);
+  });
+  return summary;
+}
+
+/**
+ * Rewrites a JSON object in the engine output bucket, writing it only if it hasn't changed since
+ * it was read (or doesn't exist yet, when creating it). If another writer got there first, the
+ * object is read again and the update re-applied, after a random pause that grows with each
+ * attempt so the writers don't keep colliding.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {string} key - The object's key in the engine output bucket.
+ * @param {Function} update - Returns the object's new contents from its current contents (or
+ *  null if it doesn't exist yet).
+ * @param {number} [attempt=1] - The number of the current write attempt.
+ * @returns {Promise<void>} Resolves once the object has been written.
+ */
+export async function writeObjectConditionally(s3Client, key, update, attempt = 1) {
+  let current = null;
+  let etag = null;
+  try {
+    const objectRes = await s3Client.send(new GetObjectCommand({
+      Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+      Key: key,
+    }));
+    current = JSON.parse(await readableToString(objectRes.Body));
+    etag = objectRes.ETag;
+  } catch (e) {
+    if (e.name !== 'NoSuchKey') {
+      throw e; // don't overwrite an object that couldn't be read
+    }
+  }
+  try {
+    await s3Client.send(new PutObjectCommand({
+      Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+      Key: key,
+      Body: Buffer.from(JSON.stringify(update(current))),
+      ContentType: 'application/json',
+      ...(etag ? { IfMatch: etag } : { IfNoneMatch: '*' }),
+    }));
+  } catch (e) {
+    /* 412: changed since it was read; 409: another conditional write was in progress */
+    const conflict = [409, 412].includes(e.$metadata?.httpStatusCode);
+    if (!conflict || attempt >= CONDITIONAL_WRITE_ATTEMPTS) {
+      throw e;
+    }
+    console.log(`[CONDITIONAL WRITE] "${key}" changed while writing it, retrying...`);
+    await snooze(Math.random() * attempt * ONE_SECOND);
+    await writeObjectConditionally(s3Client, key, update, attempt + 1);
+  }
+}
+
+/**
+ * Applies an update to a job record, writing it only if the record hasn't changed since it was
+ * read (or doesn't exist yet, when creating it). If another writer got there first, the record
+ * is read again and the update re-applied.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {string} jobID - The engine job identifier.
+ * @param {object|Function} updates - Information to add to the job record, or a function that
+ *  returns it from the current record.
+ * @returns {Promise<void>} Resolves once the record has been written.
+ */
+export async function writeJobRecordUpdate(s3Client, jobID, updates) {
+  await writeObjectConditionally(s3Client, `jobs/${jobID}.json`, (current) => {
+    const now = new Date().toISOString();
+    let record = current ?? {
+      jobID,
+      createdAt: now,
+      pageCounts: {},
+      errors: [],
+      history: [],
+    };
+    const {
+      status,
+      pageCounts,
+      error,
+      details,
+    } = typeof (updates) === 'function' ? updates(record) : updates;
+    if (isNonEmptyString(status)) {
+      record.status = status;
+      record.history.push({ status, timestamp: now });
+    }
+    if (typeof (pageCounts) === 'object' && pageCounts !== null) {
+      record.pageCounts = { ...record.pageCounts, ...pageCounts };
+    }
+    if (isNonEmptyString(error)) {
+      record.errors.push({ stage: record.status, message: error, timestamp: now });
+    }
+    record = { ...record, ...details, updatedAt: now };
+    return record;
+  });
+}
+
+/**
+ * Updates the engine's persistent record of a job with a new stage, page counts, and/or errors.
+ * Updates from different modules (or concurrent runs, such as a resume alongside a retry) can't
+ * overwrite each other, since each write is conditional on the record being unchanged. Updates
+ * that depend on the record (e.g., merging each language's outcome) can be given as a function
+ * of the current record, which is called again if the write has to be retried.
+ *
+ * @param {string} jobID - The engine job identifier.
+ * @param {object|Function} updates - Information to add to the job record, or a function that
+ *  returns it from the current record.
+ * @param {string} [updates.status] - The stage the job has entered.
+ * @param {object} [updates.pageCounts] - Page counts to merge into the record.
+ * @param {string} [updates.error] - An error message to add to the record.
+ * @param {object} [updates.details] - Other information to merge into the record.
+ * @returns {Promise<boolean>} True if the record was updated, false otherwise.
+ */
+export async function updateJobRecord(jobID, updates) {
+  if (!isNonEmptyString(jobID)) {
+    return false; // job queued before records were introduced
+  }
+  try {
+    await writeJobRecordUpdate(getS3Client(), jobID, updates);
+    return true;
+  } catch (e) {
+    console.warn(`[UPDATE JOB] Warning: Error updating record for job "${jobID}":`);
+    console.warn(e);
+  }
+  return false;
+}
@@ -5,22 +5,81 @@
  */
 import crypto from 'crypto';
 import { Buffer } from 'buffer';
+import fs from 'fs/promises';
+import { join as joinPath } from 'path';
 import util from 'util';
 import * as https from 'https';
 import axios from 'axios';
 import async from 'async';
 import bluebird from 'bluebird';
 import * as cheerio from 'cheerio';
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import {
+  addRateLimiting,
+  isNonEmptyString,
+  logAPIStats,
+  readableToString,
+  resetAPIStats,
+  updateJobRecord,
+} from '@polyglot-engine/shared';
+import { ComprehendClient, DetectDominantLanguageCommand } from '@aws-sdk/client-comprehend';
+import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge';
+import {
+  S3Client,
+  CopyObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+} from '@aws-sdk/client-s3';
 import { SSMClient, GetParametersByPathCommand } from '@aws-sdk/client-ssm';
-import { SQSClient, DeleteMessageCommand } from '@aws-sdk/client-sqs';
-import { TranslateClient, StartTextTranslationJobCommand } from '@aws-sdk/client-translate';
+import { SQSClient, DeleteMessageCommand, SendMessageCommand } from '@aws-sdk/client-sqs';
+import {
+  TranslateClient,
+  GetTerminologyCommand,
+  ImportTerminologyCommand,
+  StartTextTranslationJobCommand,
+} from '@aws-sdk/client-translate';
 
 const Promise = bluebird;
 const LIBREBOT = 'LibreBot';
 const ONE_SECOND = 1000;
 const MAX_CONCURRENT = 2;
+const CRAWL_CHUNK_SIZE = 10;
+/* translation memory shards, by the first character of each segment hash */
+const MEMORY_SHARDS = [...'0123456789abcdef'];
+const CHECKPOINT_TIME_MARGIN = 2 * 60 * 1000;
 const ENGLISH_LANG_CODE = 'en';
+const LANG_DETECT_SAMPLE_LENGTH = 5000;
+const DEKI_TEMPLATE_REGEX = /{{[^{}<>]*}}/g;
+const PROTECTED_TEXT_REGEX = new RegExp([
+  /\$\$[\s\S]+?\$\$/.source, // display math
+  /\\\[[\s\S]+?\\\]/.source, // display math
+  /\\\([\s\S]+?\\\)/.source, // inline math
+  /\\begin\{([A-Za-z]+\*?)\}[\s\S]*?\\end\{\1\}/.source, // LaTeX environments
+  /\\ce\{(?:[^{}]|\{[^{}]*\})*\}/.source, // chemistry
+  DEKI_TEMPLATE_REGEX.source,
+].join('|'), 'g');
+const PROTECTED_ELEMENTS = ['math', 'code'];
+const TRANSLATABLE_ATTRIBUTES = ['alt', 'title', 'aria-label', 'aria-description', 'placeholder'];
+const GLOSSARY_FORMATS = ['csv', 'tmx'];
+const GLOSSARY_REVIEW_COLUMNS = ['frequency', 'kind', 'context'];
+const TERM_MAX_WORDS = 5;
+const TERM_CONTEXT_LENGTH = 200;
+const TERM_CANDIDATE_LIMIT = 50000; // rare phrases are pruned from the checkpoint past this
+const TERM_PHRASE_LIMIT = 200;
+const TERM_PHRASE_MIN_FREQUENCY = 3;
+const ENGLISH_STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be',
+  'because', 'been', 'before', 'being', 'between', 'both', 'but', 'by', 'can', 'could', 'did',
+  'do', 'does', 'each', 'for', 'from', 'had', 'has', 'have', 'how', 'if', 'in', 'into', 'is',
+  'it', 'its', 'may', 'more', 'most', 'must', 'no', 'not', 'of', 'on', 'one', 'only', 'or',
+  'other', 'our', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+  'they', 'this', 'those', 'through', 'to', 'two', 'use', 'used', 'using', 'very', 'was', 'we',
+  'were', 'what', 'when', 'where', 'which', 'while', 'who', 'will', 'with', 'would', 'you',
+  'your',
+]);
+const SEGMENT_ELEMENTS = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'td', 'th', 'dt', 'dd', 'caption', 'figcaption'];
 const CROSS_LIB_REGEX = /(<p class="mt-script-comment">Cross Library Transclusion<\/p>\s+<pre class="script">\s+template\('CrossTransclude\/Web',)[\S\s]*?(\);<\/pre>)/g;
 const WIKI_TEMPL_REGEX = /(<pre class="script">\s*?wiki.page\(&quot;)[\S\s]*?(&quot;\)\s*?<\/pre>)/g; // local reuse
 const REUSE_TEMPL_REGEX = /(<div class="mt-contentreuse-widget")[\S\s]*?(<\/div>)/g; // local reuse
@@ -62,26 +121,178 @@ let sourceLibSecret;
  * @property {string} [contents] - The HTML contents of the page.
  * @property {string} [summary] - The page's overview/summary text.
  * @property {PageProp[]} [props] - The page's special properties.
+ * @property {string} [contentHash] - A hash of the page's pre-processed contents.
+ * @property {number} [characterCount] - The number of translatable characters in the page's
+ *  pre-processed contents.
+ * @property {Object<string, PageTargetState>} [targets] - The page's state for each of the job's
+ *  targets, by target language.
+ * @property {Object<string, Object<string, string>>} [memoryHits] - The cached translations of
+ *  the page's segments that were left out of the upload, by target language and segment hash.
+ * @property {string[]} [protectedFragments] - The original HTML of each fragment of the page
+ *  (math, code, DekiScript templates, etc.) replaced with a placeholder to protect it from
+ *  translation, in placeholder order.
  */
 
 /**
- * Configures a then-able program execution pause using setTimeout.
+ * The progress of a job's crawl and upload, saved to S3 so that the work can be split across
+ * invocations and resumed after a timeout.
  *
- * @param {number} ms - The length of time (in milliseconds) to pause program execution.
- * @returns {Promise<Function>} The setTimeout for the number of specified milliseconds.
+ * @typedef {object} CrawlCheckpoint
+ * @property {string} jobID - The engine job identifier.
+ * @property {string} phase - The job's phase: 'discover' (discovering the page hierarchy),
+ *  'fetch' (retrieving, pre-processing, and uploading page contents), 'submitted' (translation
+ *  job submitted), or 'estimated' (dry run finished).
+ * @property {object} [discovery] - The pages discovered so far (pages, by library and path) and
+ *  the pages left to retrieve (pending), while discovering the page hierarchy.
+ * @property {LibrePage} [tree] - The discovered page hierarchy, without page contents, once
+ *  discovered.
+ * @property {object[]} [ancestry] - The subtree's ancestors, if translating a subtree.
+ * @property {string} [sourceLanguage] - The source language, once known.
+ * @property {boolean} [sourceLanguageDetected] - Indicates the source language was detected.
+ * @property {Glossary|null} [glossary] - The glossary to translate with (null if none), once
+ *  picked.
+ * @property {Object<string, LibrePage>} processed - Information about each page that has been
+ *  retrieved, pre-processed, and uploaded (if changed), without its contents, by page key.
+ * @property {object} [translationJob] - The submitted translation job's details.
+ * @property {string} [reusedCrawl] - The identifier of the dry run job whose crawl was reused.
+ * @property {boolean} [inputCopied] - Indicates the reused crawl's contents were copied to the
+ *  input bucket.
+ * @property {Object<string, TermCandidate>} [termCandidates] - Candidate glossary terms found so
+ *  far, by lowercased term, if analyzing the text.
+ * @property {string} updatedAt - The time the checkpoint was last saved, in ISO format.
  */
-const snooze = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 /**
- * Verifies that a variable is a string and is non-empty (when whitespace is removed).
+ * An estimate of the size and cost of translating a text, produced by a dry run.
  *
- * @param {string} str - The string to check.
- * @returns {boolean} True if variable is a string and is non-emtpy, false if
- * non-empty or non-string.
+ * @typedef {object} CostEstimate
+ * @property {string} provider - The name of the translation provider the estimate is for.
+ * @property {number} pageCount - The number of pages in the text.
+ * @property {number} characterCount - The number of translatable characters in the text.
+ * @property {Object<string, number>} targetCharacters - The number of characters that would be
+ *  translated for each target language (only new or changed pages, if re-translating).
+ * @property {number} billedCharacters - The total number of characters that would be translated.
+ * @property {number} costPerMillion - The provider's price per million characters, in USD.
+ * @property {number} estimatedCost - The estimated cost of the translation, in USD.
+ */
+
+/**
+ * A candidate glossary term found while analyzing a text.
+ *
+ * @typedef {object} TermCandidate
+ * @property {string} term - The term, as it first appeared.
+ * @property {string[]} kinds - Where the term was found: 'glossary-page' (a back matter
+ *  glossary), 'definition-list' (a dl/dt entry), 'bold' (bolded text), and/or 'frequent-phrase'.
+ * @property {number} frequency - The number of times the term was found, counting both where it
+ *  was marked (e.g., bolded) and, in English texts, where it was used in running text.
+ * @property {string} [context] - An example of the text around the term.
+ */
+
+/**
+ * Where a job saves one of its target languages.
+ *
+ * @typedef {object} TranslationTarget
+ * @property {string} language - The target language code.
+ * @property {string} targetLib - The LibreTexts library shortname to save the translation to.
+ * @property {string} targetPath - The path to save the translation under (relative to targetLib).
+ * @property {boolean} [incremental] - Indicates only changed pages are being translated.
+ */
+
+/**
+ * A page's state relative to a previous translation to one of the job's targets.
+ *
+ * @typedef {object} PageTargetState
+ * @property {boolean} unchanged - Indicates the page is unchanged since it was last translated
+ *  to the target, and doesn't need to be translated again.
+ * @property {number} [previousTargetID] - The identifier of the page's translated counterpart
+ *  from a previous run, if any.
+ * @property {string} [previousTargetPath] - The path of the page's translated counterpart from a
+ *  previous run, relative to the target path.
+ * @property {number} [previousTargetRevision] - The revision of the page's translated counterpart
+ *  last saved by the engine, if any.
+ */
+
+/**
+ * The state of a text's translation to a particular target, saved by ProcessTranslated and used
+ * to translate only changed pages on later runs.
+ *
+ * @typedef {object} TranslationState
+ * @property {string} targetLib - The library the text was translated to.
+ * @property {string} targetPath - The path the text was saved under.
+ * @property {string} language - The language code the text was translated to.
+ * @property {Object<string, object>} pages - Information about each translated page (content hash,
+ *  target page identifier, and relative path), keyed by lib-ID identifier.
+ */
+
+/**
+ * Information about a translation job to submit to a translation provider.
+ *
+ * @typedef {object} TranslationJobRequest
+ * @property {string} coverID - The lib-ID format identifier of the root page. Input files are
+ *  read from this prefix in the engine input bucket.
+ * @property {string} jobName - A human-friendly name for the job.
+ * @property {string} outputPrefix - The prefix to save output files under in the engine
+ *  output bucket.
+ * @property {string} sourceLangCode - The language code of the input content.
+ * @property {string[]} targetLangCodes - The language codes of the desired output languages.
+ * @property {string} [terminologyName] - The name of the provider's custom terminology to apply.
+ */
+
+/**
+ * A glossary of discipline terms, stored in the engine output bucket as
+ * `glossaries/{name}.{format}`.
+ *
+ * @typedef {object} Glossary
+ * @property {string} name - The glossary's name.
+ * @property {string} format - The glossary file's format ('csv' or 'tmx').
+ * @property {string} key - The glossary file's key in the engine output bucket.
+ * @property {string} version - The glossary file's version (its S3 entity tag).
+ * @property {string} updatedAt - The time the glossary file was last modified, in ISO format.
+ */
+
+/**
+ * A job run by the local translation backend, saved to the engine output bucket as
+ * `local-jobs/{jobId}.json`. Its status and output location use the same names as Amazon
+ * Translate's job descriptions, so ProcessTranslated can read either.
+ *
+ * @typedef {object} LocalTranslationJob
+ * @property {string} jobId - The local job identifier.
+ * @property {string} jobName - A human-friendly name for the job.
+ * @property {string} jobStatus - 'IN_PROGRESS' while documents are translated, then 'COMPLETED'.
+ * @property {string} sourceLanguageCode - The language code of the input documents.
+ * @property {string[]} targetLanguageCodes - The language codes to translate into.
+ * @property {string} inputBucket - The bucket the input documents are read from.
+ * @property {string} inputPrefix - The prefix of the input documents.
+ * @property {string} outputBucket - The bucket the output documents are saved to.
+ * @property {string} outputPrefix - The prefix of the output documents.
+ * @property {object} outputDataConfig - The S3 URI of the output folder, as `S3Uri`.
+ * @property {boolean} untranslated - True if no translation server was configured, so the output
+ *  documents are copies of the input documents.
+ * @property {object[]} pending - The documents left to translate, each with its input file key
+ *  and target language code.
+ * @property {Object<string, object>} languages - The characters translated, error count, and
+ *  output file details so far, by target language code.
+ * @property {boolean} eventSent - True once the job state change event has been published.
+ * @property {string} submittedTime - When the job was submitted, as an ISO 8601 timestamp.
+ */
+
+/**
+ * A machine translation backend that accepts batch translation jobs. Providers save their output
+ * to the engine output bucket using the same layout and auxiliary details file as Amazon
+ * Translate, then signal ProcessTranslated when the job completes.
+ *
+ * @typedef {object} TranslationProvider
+ * @property {string} name - The internal name of the provider.
+ * @property {function(TranslationJobRequest): Promise<string|null>} submitJob - Submits a job
+ *  to the provider and resolves to the provider's job identifier, or null if error encountered.
+ * @property {function(string): Promise<string|null>} detectLanguage - Detects the dominant
+ *  language of a text sample and resolves to its language code, or null if error encountered.
+ * @property {number} costPerMillion - The provider's price per million characters translated,
+ *  in USD, used for dry run estimates.
+ * @property {function(Glossary, S3Client): Promise<string|null>} [prepareGlossary] - Makes a
+ *  glossary available to the provider as custom terminology and resolves to the terminology's
+ *  name, or null if error encountered. Omitted if the provider doesn't support glossaries.
  */
-function isNonEmptyString(str) {
-  return typeof (str) === 'string' && str?.trim().length > 0;
-}
 
 /**
  * Generates HTTP request headers for use with the CXone (LibreText libraries) API.
@@ -242,14 +453,147 @@ async function deleteQueueMessage(receiptHandle) {
 }
 
 /**
- * Recursively retrieves a page's subpages from the CXone API.
+ * Builds the S3 object key of a job's crawl checkpoint.
+ *
+ * @param {string} jobID - The engine job identifier.
+ * @returns {string} The checkpoint's key in the engine output bucket.
+ */
+function getCheckpointKey(jobID) {
+  return `checkpoints/${jobID}.json`;
+}
+
+/**
+ * Retrieves a job's crawl checkpoint from S3, if one was saved by a previous invocation.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {string} jobID - The engine job identifier.
+ * @returns {Promise<CrawlCheckpoint|null>} The checkpoint, or null if not found or error
+ *  encountered.
+ */
+async function retrieveCheckpoint(s3Client, jobID) {
+  if (!isNonEmptyString(jobID)) {
+    return null;
+  }
+  try {
+    const checkpointRes = await s3Client.send(new GetObjectCommand({
+      Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+      Key: getCheckpointKey(jobID),
+    }));
+    return JSON.parse(await readableToString(checkpointRes.Body));
+  } catch (e) {
+    if (e.name !== 'NoSuchKey') {
+      console.warn('[CHECKPOINT] Warning: Error retrieving crawl checkpoint:');
+      console.warn(e);
+    }
+  }
+  return null;
+}
+
+/**
+ * Saves a job's crawl checkpoint to S3.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {CrawlCheckpoint} checkpoint - The checkpoint to save.
+ * @returns {Promise<boolean>} True if saved, false otherwise.
+ */
+async function saveCheckpoint(s3Client, checkpoint) {
+  if (!isNonEmptyString(checkpoint.jobID)) {
+    return false; // job queued before records were introduced
+  }
+  try {
+    await s3Client.send(new PutObjectCommand({
+      Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+      Key: getCheckpointKey(checkpoint.jobID),
+      Body: Buffer.from(JSON.stringify({ ...checkpoint, updatedAt: new Date().toISOString() })),
+      ContentType: 'application/json',
+    }));
+    return true;
+  } catch (e) {
+    console.warn('[CHECKPOINT] Warning: Error saving crawl checkpoint:');
+    console.warn(e);
+  }
+  return false;
+}
+
+/**
+ * Queues a message to continue a job from its checkpoint in a new invocation.
+ *
+ * @param {object} reqParams - The job's queue message parameters.
+ * @returns {Promise<boolean>} True if queued successfully, false otherwise.
+ */
+async function enqueueContinuation(reqParams) {
+  try {
+    const sqsClient = new SQSClient();
+    const queueRes = await sqsClient.send(new SendMessageCommand({
+      MessageBody: JSON.stringify({
+        ...reqParams,
+        continuation: (reqParams.continuation || 0) + 1, // avoid deduplication
+      }),
+      MessageGroupId: process.env.AWS_SQS_GROUP_ID,
+      QueueUrl: process.env.AWS_SQS_QUEUE_URL,
+    }));
+    if (queueRes?.$metadata?.httpStatusCode !== 200) {
+      throw (new Error('Unknown error encountered using SQS API.'));
+    }
+    return true;
+  } catch (e) {
+    console.error('[CHECKPOINT] Error queueing continuation:');
+    console.error(e);
+  }
+  return false;
+}
+
+/**
+ * Lists the pages in a hierarchy in hierarchy order, without their subpages.
+ *
+ * @param {LibrePage} page - A page information object.
+ * @returns {LibrePage[]} The pages in the hierarchy.
+ */
+function listTreePages(page) {
+  if (typeof (page) !== 'object' || page === null) {
+    return [];
+  }
+  const { subpages, ...pageInfo } = page;
+  let pages = [pageInfo];
+  if (Array.isArray(subpages)) {
+    subpages.forEach((subpage) => {
+      pages = [...pages, ...listTreePages(subpage)];
+    });
+  }
+  return pages;
+}
+
+/**
+ * Recursively merges the information recorded for each processed page into a page hierarchy.
+ *
+ * @param {LibrePage} page - A page information object from the discovered hierarchy.
+ * @param {Object<string, LibrePage>} processed - Processed page information, by page key.
+ * @returns {LibrePage} The page, with processed information and updated subpages.
+ */
+function mergeProcessedPages(page, processed) {
+  const pageData = {
+    ...page,
+    ...processed[`${page.lib}-${page.id}`],
+  };
+  if (Array.isArray(page.subpages)) {
+    pageData.subpages = page.subpages.map((subpage) => mergeProcessedPages(subpage, processed));
+  }
+  return pageData;
+}
+
+/**
+ * Retrieves a page's information and the list of its subpages from the CXone API, without
+ * walking the hierarchy any further.
  *
  * @param {string} lib - The LibreTexts library subdomain.
  * @param {string} path - The relative path to the library domain.
  * @param {string} [parent=null] The current page's parent ID number.
- * @returns {Promise<object>} Information about the page, including its subpages.
+ * @param {boolean} [requireCoverpage=true] - Requires the root page to be a coverpage. Disabled
+ *  when translating a chapter or other subtree of a text.
+ * @returns {Promise<object|null>} Information about the page, with the library, path, and parent
+ *  of each of its subpages (subpageRefs), or null if error encountered.
  */
-async function retrieveSubpages(lib, path, parent = null) {
+async function retrievePageListing(lib, path, parent = null, requireCoverpage = true) {
   console.log(`[RETRIEVE] ${lib}, ${path}`);
   try {
     const root = `https://${lib}.libretexts.org/@api/deki/pages/`;
@@ -262,23 +606,17 @@ async function retrieveSubpages(lib, path, parent = null) {
       headers: reqTokenHeaders,
     });
     const subpages = subpagesRes.data;
-    await snooze(15 * ONE_SECOND);
 
-    /* Keep walking the tree */
-    const subpagePromises = [];
-    const addSubpage = (currentSubpage) => {
-      const [subLib, subPath] = parseURL(currentSubpage['uri.ui']);
-      subpagePromises.push(retrieveSubpages(subLib, subPath, pageInfo['@id']));
-    };
+    let subpageList = [];
     if (Array.isArray(subpages['page.subpage'])) {
-      for (let i = 0, n = subpages['page.subpage'].length; i < n; i += 1) {
-        addSubpage(subpages['page.subpage'][i]);
-      }
+      subpageList = subpages['page.subpage'];
     } else if (typeof (subpages['page.subpage']) === 'object') { // single subpage
-      addSubpage(subpages['page.subpage']);
+      subpageList = [subpages['page.subpage']];
     }
-    await snooze(5 * ONE_SECOND);
-    const foundSubpages = await Promise.all(subpagePromises);
+    const subpageRefs = subpageList.map((subpage) => {
+      const [subLib, subPath] = parseURL(subpage['uri.ui']);
+      return { lib: subLib, path: subPath, parent: pageInfo['@id'] };
+    });
 
     const [couldParse, sectionNum, sectionTitle] = parsePagePath(path);
     if (pageInfo && subpages) {
@@ -287,7 +625,7 @@ async function retrieveSubpages(lib, path, parent = null) {
         url: pageInfo['uri.ui'],
         title: pageInfo.title,
         tags: processTags(pageInfo.tags),
-        subpages: foundSubpages,
+        subpageRefs,
         lib,
         path,
         ...(couldParse && {
@@ -299,7 +637,7 @@ async function retrieveSubpages(lib, path, parent = null) {
         infoObj = { ...infoObj, root: false, parent };
       } else {
         infoObj = { ...infoObj, root: true, parent: null };
-        if (!infoObj.tags.includes('coverpage:yes')) {
+        if (requireCoverpage && !infoObj.tags.includes('coverpage:yes')) {
           throw (new Error(`Polyglot Engine Warning: Provided URL is not a coverpage.
             Translation of more than one text at a time has been disabled.`));
         }
@@ -312,6 +650,119 @@ async function retrieveSubpages(lib, path, parent = null) {
   return null;
 }
 
+/**
+ * Discovers a text's page hierarchy breadth-first, a chunk of pages at a time. Progress is saved
+ * in the job's checkpoint after each chunk, so large hierarchies can be discovered across
+ * invocations.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {CrawlCheckpoint} checkpoint - The job's checkpoint, in the 'discover' phase.
+ * @param {Function} timeRemaining - Returns the invocation's remaining time, in milliseconds.
+ * @returns {Promise<boolean>} True if every page was discovered, false if the time limit was
+ *  reached first.
+ */
+async function discoverPages(s3Client, checkpoint, timeRemaining) {
+  const { discovery } = checkpoint;
+  await async.whilst(
+    async () => discovery.pending.length > 0 && timeRemaining() >= CHECKPOINT_TIME_MARGIN,
+    async () => {
+      const chunk = discovery.pending.splice(0, CRAWL_CHUNK_SIZE);
+      const listings = await async.mapLimit(chunk, MAX_CONCURRENT, async (ref) => (
+        retrievePageListing(ref.lib, ref.path, ref.parent, discovery.requireCoverpage)
+      ));
+      listings.filter((listing) => listing !== null).forEach((listing) => {
+        discovery.pages[`${listing.lib}/${listing.path}`] = listing;
+        discovery.pending.push(...listing.subpageRefs);
+      });
+      await saveCheckpoint(s3Client, checkpoint);
+    },
+  );
+  return discovery.pending.length === 0;
+}
+
+/**
+ * Recursively builds a page hierarchy from the pages found during discovery. Subpages that
+ * couldn't be retrieved are left out.
+ *
+ * @param {Object<string, object>} pages - The discovered pages, by library and path.
+ * @param {string} lib - The LibreTexts library subdomain of the hierarchy's root page.
+ * @param {string} path - The root page's path.
+ * @returns {LibrePage|null} The page hierarchy, or null if the root page wasn't found.
+ */
+function assembleDiscoveredTree(pages, lib, path) {
+  const listing = pages[`${lib}/${path}`];
+  if (!listing) {
+    return null;
+  }
+  const { subpageRefs, ...pageInfo } = listing;
+  return {
+    ...pageInfo,
+    subpages: subpageRefs
+      .map((ref) => assembleDiscoveredTree(pages, ref.lib, ref.path))
+      .filter((subpage) => subpage !== null),
+  };
+}
+
+/**
+ * Retrieves the ancestors of a page within its text, from the text's coverpage down to the
+ * page's immediate parent. Used to preserve the text's context when translating a subtree.
+ *
+ * @param {string} lib - The LibreTexts library subdomain.
+ * @param {number} pageID - The identifier of the subtree's root page.
+ * @returns {Promise<LibrePage[]|null>} The page's ancestors (without contents or subpages),
+ *  starting with the coverpage, or null if error encountered (or the page is a coverpage).
+ */
+async function retrieveAncestry(lib, pageID) {
+  console.log(`[RETRIEVE ANCESTRY] ${lib}-${pageID}`);
+  const maxDepth = 25;
+  const ancestry = [];
+  try {
+    const root = `https://${lib}.libretexts.org/@api/deki/pages/`;
+    const reqTokenHeaders = generateAPIRequestHeaders();
+    const pageInfoRes = await axiosInstance.get(`${root}${pageID}?dream.out.format=json`, {
+      headers: reqTokenHeaders,
+    });
+    if (processTags(pageInfoRes.data.tags).includes('coverpage:yes')) {
+      throw (new Error('Polyglot Engine Warning: Provided URL is a coverpage. Use whole-text mode instead.'));
+    }
+    let parentID = pageInfoRes.data['page.parent']?.['@id'];
+    let foundCoverpage = false;
+    await async.whilst(async () => (
+      !!parentID && !foundCoverpage && ancestry.length < maxDepth
+    ), async () => {
+      const parentInfoRes = await axiosInstance.get(`${root}${parentID}?dream.out.format=json`, {
+        headers: reqTokenHeaders,
+      });
+      const parentInfo = parentInfoRes.data;
+      const [, parentPath] = parseURL(parentInfo['uri.ui']);
+      const [couldParse, sectionNum, sectionTitle] = parsePagePath(parentPath);
+      const tags = processTags(parentInfo.tags);
+      ancestry.unshift({
+        id: parentInfo['@id'],
+        url: parentInfo['uri.ui'],
+        title: parentInfo.title,
+        tags,
+        lib,
+        path: parentPath,
+        ...(couldParse && {
+          urlNumPrefix: sectionNum,
+          urlTitleExtract: sectionTitle,
+        }),
+      });
+      foundCoverpage = tags.includes('coverpage:yes');
+      parentID = parentInfo['page.parent']?.['@id'];
+    });
+    if (foundCoverpage) {
+      return ancestry;
+    }
+    throw (new Error('Polyglot Engine Warning: Provided URL is not within a coverpage\'s hierarchy.'));
+  } catch (e) {
+    console.error('[RETRIEVE ANCESTRY] Error retrieving page ancestry:');
+    console.error(e);
+  }
+  return null;
+}
+
 /**
  * Retrieves a page's properties from the CXone Expert API.
  *
@@ -453,6 +904,237 @@ async function getSubpageContents(page, tokenHeaders) {
   return currPage;
 }
 
+/**
+ * Replaces a fragment of a page's HTML with an opaque no-translate placeholder, saving the
+ * original fragment so it can be restored exactly after translation.
+ *
+ * @param {string[]} fragments - The page's protected fragments, in placeholder order.
+ * @param {string} fragment - The fragment to protect.
+ * @returns {string} The placeholder's HTML.
+ */
+function createPlaceholder(fragments, fragment) {
+  fragments.push(fragment);
+  const idx = fragments.length - 1;
+  return `<span translate="no" data-libre-protected="${idx}">LIBRE${idx}</span>`;
+}
+
+/**
+ * Replaces elements that shouldn't be translated (MathML and inline code) with placeholders.
+ *
+ * @param {cheerio.CheerioAPI} $ - The loaded page contents.
+ * @param {string[]} fragments - The page's protected fragments, in placeholder order.
+ */
+function protectElements($, fragments) {
+  $(PROTECTED_ELEMENTS.join(', ')).each((_idx, elem) => {
+    if ($(elem).parents(PROTECTED_ELEMENTS.join(', ')).length > 0) {
+      return; // protected with its ancestor
+    }
+    $(elem).replaceWith(createPlaceholder(fragments, $.html(elem)));
+  });
+}
+
+/**
+ * Replaces math ("$$...$$", "\[...\]", "\(...\)", and LaTeX environments), chemistry ("\ce{}"),
+ * and DekiScript template invocations (e.g. "{{template.Foo()}}") in the text of a page's HTML
+ * with placeholders, leaving the surrounding text translatable. Attribute values and other
+ * markup are left untouched.
+ *
+ * @param {string} contents - The page's HTML contents.
+ * @param {string[]} fragments - The page's protected fragments, in placeholder order.
+ * @returns {string} The updated contents.
+ */
+function protectTextFragments(contents, fragments) {
+  return contents.split(/(<[^>]*>)/).map((segment) => {
+    if (segment.startsWith('<')) {
+      return segment;
+    }
+    return segment.replace(PROTECTED_TEXT_REGEX, (match) => createPlaceholder(fragments, match));
+  }).join('');
+}
+
+/**
+ * Moves the text of translatable attributes (alt, title, aria-label, etc.) into translatable
+ * segments at the end of the contents, since the translation providers leave attribute values
+ * untouched. Each element is tagged with a stable ID so ProcessTranslated can restore the
+ * translated values.
+ *
+ * @param {cheerio.CheerioAPI} $ - The loaded page contents.
+ */
+function extractTranslatableAttributes($) {
+  const segments = [];
+  let attrID = 0;
+  $(TRANSLATABLE_ATTRIBUTES.map((attr) => `[${attr}]`).join(', ')).each((_idx, elem) => {
+    if ($(elem).closest('[translate="no"]').length > 0) {
+      return;
+    }
+    let elemID = null;
+    TRANSLATABLE_ATTRIBUTES.forEach((attr) => {
+      const value = $(elem).attr(attr);
+      if (!isNonEmptyString(value) || value.match(DEKI_TEMPLATE_REGEX)) {
+        return;
+      }
+      if (elemID === null) {
+        attrID += 1;
+        elemID = attrID.toString();
+        $(elem).attr('data-libre-attr-id', elemID);
+      }
+      const segment = $('<p></p>')
+        .attr('data-libre-attr-ref', elemID)
+        .attr('data-libre-attr-name', attr)
+        .text(value);
+      segments.push($.html(segment));
+    });
+  });
+  if (segments.length > 0) {
+    $.root().append(`<div data-libre-attrs="true">${segments.join('')}</div>`);
+  }
+}
+
+/**
+ * Checks if the translation memory is enabled (it can be turned off by setting the
+ * TRANSLATION_MEMORY environment variable to 'off').
+ *
+ * @returns {boolean} True if the translation memory is enabled, false otherwise.
+ */
+function isTranslationMemoryEnabled() {
+  return process.env.TRANSLATION_MEMORY?.trim().toLowerCase() !== 'off';
+}
+
+/**
+ * Builds the key of one shard of the translation memory for a language pair. The key is the S3
+ * object key in the engine output bucket, or the filename in TRANSLATION_MEMORY_DIR if using a
+ * local store. Translations made with a glossary are kept in a separate memory for each glossary
+ * version, so they're only reused with the same terminology.
+ *
+ * @param {string} sourceLanguage - The language code of the source segments.
+ * @param {string} targetLanguage - The language code of the translated segments.
+ * @param {string} shard - The shard's identifier (the first character of its segment hashes).
+ * @param {Glossary} [glossary] - The glossary the segments were translated with, if any.
+ * @returns {string} The translation memory shard's key.
+ */
+function getTranslationMemoryKey(sourceLanguage, targetLanguage, shard, glossary = null) {
+  const glossarySuffix = glossary ? `.${glossary.name}-${glossary.version}` : '';
+  return `memory/${sourceLanguage}-${targetLanguage}${glossarySuffix}/${shard}.json`;
+}
+
+/**
+ * Retrieves the translation memory for a language pair from S3, or from the local file store if
+ * TRANSLATION_MEMORY_DIR is set. Each of the memory's shards is read and the segments combined.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {string} sourceLanguage - The language code of the source segments.
+ * @param {string} targetLanguage - The language code of the translated segments.
+ * @param {Glossary} [glossary] - The glossary the job is translated with, if any.
+ * @returns {Promise<Object<string, string>>} The translated segments, by source segment hash.
+ *  Missing any shards that don't exist yet or couldn't be read.
+ */
+async function retrieveTranslationMemory(s3Client, sourceLanguage, targetLanguage, glossary) {
+  const shards = await async.mapLimit(MEMORY_SHARDS, MAX_CONCURRENT, async (shard) => {
+    const key = getTranslationMemoryKey(sourceLanguage, targetLanguage, shard, glossary);
+    try {
+      let memoryContents;
+      if (isNonEmptyString(process.env.TRANSLATION_MEMORY_DIR)) {
+        memoryContents = await fs.readFile(joinPath(process.env.TRANSLATION_MEMORY_DIR, key), 'utf-8');
+      } else {
+        const memoryRes = await s3Client.send(new GetObjectCommand({
+          Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+          Key: key,
+        }));
+        memoryContents = await readableToString(memoryRes.Body);
+      }
+      return JSON.parse(memoryContents).segments || {};
+    } catch (e) {
+      if (e.name !== 'NoSuchKey' && e.code !== 'ENOENT') {
+        console.warn(`[TRANSLATION MEMORY] Warning: Error retrieving memory "${key}":`);
+        console.warn(e);
+      }
+    }
+    return {};
+  });
+  return Object.assign({}, ...shards);
+}
+
+/**
+ * Retrieves the translation memories for each of a job's target languages.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {string} sourceLanguage - The language code of the source text.
+ * @param {string[]} languages - The job's target language codes.
+ * @param {Glossary} [glossary] - The glossary the job is translated with, if any.
+ * @returns {Promise<Object<string, Object<string, string>>>} The translated segments for each
+ *  target language, by source segment hash.
+ */
+async function retrieveTranslationMemories(s3Client, sourceLanguage, languages, glossary) {
+  const memories = await async.mapSeries(languages, async (language) => [
+    language,
+    await retrieveTranslationMemory(s3Client, sourceLanguage, language, glossary),
+  ]);
+  return Object.fromEntries(memories);
+}
+
+/**
+ * Computes the hash that identifies a segment in the translation memory.
+ *
+ * @param {string} tagName - The segment element's tag name.
+ * @param {string} html - The segment's inner HTML.
+ * @returns {string} The segment hash.
+ */
+function getSegmentHash(tagName, html) {
+  return crypto.createHash('sha256')
+    .update(`${tagName}:${html.replace(/\s+/g, ' ').trim()}`)
+    .digest('hex');
+}
+
+/**
+ * Marks the translatable segments (paragraphs, headings, list items, table cells, etc.) of a
+ * page's pre-processed contents with their hashes, then leaves segments found in the translation
+ * memory for every target language out of the upload. Segments containing protected fragments
+ * or moved attribute text are page-specific, and aren't used.
+ *
+ * @param {LibrePage} page - A page information object, with pre-processed contents.
+ * @param {Object<string, Object<string, string>>} memories - The translation memory for each
+ *  target language.
+ * @returns {LibrePage} The page, with updated contents and the cached translations used.
+ */
+function applyTranslationMemory(page, memories) {
+  if (typeof (page.contents) !== 'string') {
+    return page;
+  }
+  const languages = Object.keys(memories);
+  const memoryHits = Object.fromEntries(languages.map((language) => [language, {}]));
+  let hitCount = 0;
+  const $ = cheerio.load(page.contents, { decodeEntities: true }, false);
+  $(SEGMENT_ELEMENTS.join(', ')).each((_idx, elem) => {
+    const $elem = $(elem);
+    const isPageSpecific = $elem.find('[translate], [data-libre-protected], [data-libre-attr-id]').length > 0;
+    if (
+      $elem.closest('[translate="no"], [data-libre-attrs], [data-libre-pagesummary]').length > 0
+      || $elem.find(SEGMENT_ELEMENTS.join(', ')).length > 0
+      || isPageSpecific
+      || $elem.text().trim().length === 0
+    ) {
+      return;
+    }
+    const hash = getSegmentHash(elem.tagName, $elem.html());
+    $elem.attr('data-libre-segment', hash);
+    if (languages.length > 0 && languages.every((language) => memories[language][hash])) {
+      languages.forEach((language) => {
+        memoryHits[language][hash] = memories[language][hash];
+      });
+      $elem.attr('translate', 'no').empty();
+      hitCount += 1;
+    }
+  });
+  if (hitCount > 0) {
+    console.log(`[TRANSLATION MEMORY] ${page.lib}-${page.id}: Reused ${hitCount} segments.`);
+  }
+  return {
+    ...page,
+    contents: $.html(),
+    ...(hitCount > 0 && { memoryHits }),
+  };
+}
+
 /**
  * Recursively performs pre-processing on the page's (and subpages') contents.
  *
@@ -466,6 +1148,14 @@ async function processPageContents(page) {
     try {
       let { contents } = pageData;
       contents = absolutifyFileURLs(contents, pageData.lib);
+      /*
+       * Text fragments are captured from the raw contents, before re-serialization can change
+       * their entities. The title and summary are added after, since they're read as plain text.
+       */
+      const fragments = [];
+      contents = protectTextFragments(contents, fragments);
+      const $elems = cheerio.load(contents, { decodeEntities: true }, false);
+      protectElements($elems, fragments);
       contents = `
         <span
           data-libre-pagetitle="true"
@@ -475,20 +1165,12 @@ async function processPageContents(page) {
           ${page.title}
         </span>
         ${(typeof (page.summary) === 'string') ? `<p data-libre-pagesummary="true">${page.summary}</p>` : ''}
-        ${contents}
+        ${$elems.html()}
       `;
-      const dekiRegex = /{{([A-Za-z.()]*)}}/gmi;
-      const mathInlineRegex = /\\\(.*?(?<!\\\\)\\\)/gmi;
-      const mathDisplayRegex = /\\\[.*?(?<!\\\\)\\\]/gmi;
-      const noTranslateSpan = (match) => `<span translate="no">${match}</span>`;
-      contents = contents.replaceAll(mathInlineRegex, noTranslateSpan);
-      contents = contents.replaceAll(mathDisplayRegex, noTranslateSpan);
+      if (fragments.length > 0) {
+        pageData.protectedFragments = fragments;
+      }
       const $ = cheerio.load(contents, { decodeEntities: true }, false);
-      $('*').each((_idx, elem) => {
-        if ($(elem).html().match(dekiRegex)) {
-          $(elem).attr('translate', 'no');
-        }
-      });
       $('pre, .script, .mt-script-comment, .comment, .mt-style-conditional').each((_idx, elem) => {
         $(elem).attr('translate', 'no');
       });
@@ -496,6 +1178,7 @@ async function processPageContents(page) {
       $('img[fileid]').each((_idx, elem) => {
         $(elem).removeAttr('fileid');
       });
+      extractTranslatableAttributes($);
       pageData.contents = $.html().trim();
     } catch (e) {
       console.error(`[PROCESS CONTENTS] Error processing ${pageData?.lib}-${pageData?.id}:`);
@@ -513,75 +1196,950 @@ async function processPageContents(page) {
 }
 
 /**
- * Recursively flattens a page hierarchy and removes unnecessary information, like page contents.
+ * Retrieves the keys of all files saved under a prefix in an S3 bucket.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {string} bucket - The name of the bucket to search.
+ * @param {string} prefix - The prefix to list files under.
+ * @returns {Promise<string[]>} The keys of the files found.
+ */
+async function listFileKeys(s3Client, bucket, prefix) {
+  const keys = [];
+  let continuationToken;
+  await async.doWhilst(async () => {
+    const listRes = await s3Client.send(new ListObjectsV2Command({
+      Bucket: bucket,
+      Prefix: prefix,
+      ContinuationToken: continuationToken,
+    }));
+    if (Array.isArray(listRes.Contents)) {
+      listRes.Contents.forEach((obj) => keys.push(obj.Key));
+    }
+    continuationToken = listRes.IsTruncated ? listRes.NextContinuationToken : undefined;
+  }, async () => !!continuationToken);
+  return keys;
+}
+
+/**
+ * Recursively computes a hash of each page's pre-processed contents.
  *
  * @param {LibrePage} page - A page information object.
- * @returns {LibrePage[]} The flattened array without page contents.
+ * @returns {LibrePage} The page with content hashes added.
  */
-function createFlatPageMetadataList(page) {
-  let pagesArr = [];
+function addContentHashes(page) {
   const pageData = page;
+  if (typeof (pageData.contents) === 'string') {
+    pageData.contentHash = crypto.createHash('sha256')
+      .update(pageData.contents)
+      .update(JSON.stringify(pageData.protectedFragments || []))
+      .digest('hex');
+  }
   if (Array.isArray(pageData.subpages)) {
-    for (let i = 0, n = pageData.subpages.length; i < n; i += 1) {
-      pagesArr = [...pagesArr, ...createFlatPageMetadataList(pageData.subpages[i])];
-    }
+    pageData.subpages.forEach((subpage) => addContentHashes(subpage));
   }
-  delete pageData.contents;
-  delete pageData.subpages;
-  pagesArr.unshift(pageData); // prepend current to preserve "ordering"
-  return pagesArr;
+  return pageData;
 }
 
 /**
- * Recursively creates AWS S3 upload commands for a page hierachy's contents.
+ * Counts the translatable characters in a page's pre-processed contents, excluding markup and
+ * content marked as not to be translated.
  *
- * @param {LibrePage} page - A page information object.
- * @param {string} [directory] - The parent directory path to prepend to the file key, if not root.
- * @returns {Promise<PutObjectCommand>[]} An array of thenable S3 PutObjectCommand's.
+ * @param {string} contents - The page's pre-processed contents.
+ * @returns {number} The number of translatable characters.
  */
-function createUploadCommands(page, directory) {
-  let commands = [];
-  let dirRoot = '';
-  if (page.root === true) {
-    dirRoot = `${page.lib}-${page.id}`;
-  } else if (typeof (directory) === 'string') {
-    dirRoot = directory;
-  } else {
-    throw (new Error('nodirectory'));
-  }
-  const fileKey = `${dirRoot}/${page.lib}-${page.id}.html`;
-  commands.push(new PutObjectCommand({
-    Bucket: process.env.AWS_S3_INPUT_BUCKET,
-    Key: fileKey,
-    Body: Buffer.from(page.contents),
-  }));
-  if (Array.isArray(page.subpages)) {
-    for (let i = 0, n = page.subpages.length; i < n; i += 1) {
-      commands = [
-        ...commands,
-        ...createUploadCommands(page.subpages[i], dirRoot),
-      ];
-    }
+function countTranslatableCharacters(contents) {
+  if (!isNonEmptyString(contents)) {
+    return 0;
   }
-  return commands;
+  const $ = cheerio.load(contents, { decodeEntities: true }, false);
+  $('[translate="no"], script, style').remove();
+  return $.root().text().replace(/\s+/g, ' ').trim().length;
 }
 
 /**
- * Uploads a LibreText's content and relevant metadata to AWS S3.
+ * Checks if a page is a back matter glossary page (a "Glossary" page under the 'zz' back matter
+ * section).
  *
  * @param {LibrePage} page - A page information object.
- * @param {object} target - An object with information about where to place the translated text.
- * @param {string} target.targetLib - The LibreTexts library shortname to save the
- *  translated text to.
- * @param {string} target.targetPath - The path to save the translated text under
- *  (relative to targetLib).
+ * @returns {boolean} True if the page is a back matter glossary page, false otherwise.
+ */
+function isGlossaryPage(page) {
+  if (!isNonEmptyString(page.path) || !/glossary/i.test(page.title || '')) {
+    return false;
+  }
+  return page.path.split('/').some((segment) => parsePagePath(segment)[1] === 'zz');
+}
+
+/**
+ * Shortens text to use as a term's example context.
+ *
+ * @param {string} text - The text around the term.
+ * @returns {string} The normalized and shortened text.
+ */
+function createTermContext(text) {
+  const context = text.replace(/\s+/g, ' ').trim();
+  if (context.length <= TERM_CONTEXT_LENGTH) {
+    return context;
+  }
+  return `${context.slice(0, TERM_CONTEXT_LENGTH - 1).trim()}…`;
+}
+
+/**
+ * Finds candidate glossary terms in a page's pre-processed contents: back matter glossary
+ * entries, definition list terms, bolded text, and (for English texts) frequent multi-word
+ * phrases. Content marked as not to be translated is ignored.
+ *
+ * @param {LibrePage} page - A page information object, with pre-processed contents.
+ * @param {string} sourceLanguage - The language code of the text.
+ * @returns {Object<string, TermCandidate>} The candidates found, by lowercased term.
+ */
+function extractTermCandidates(page, sourceLanguage) {
+  const candidates = {};
+  if (typeof (page.contents) !== 'string') {
+    return candidates;
+  }
+  const addCandidate = (rawTerm, kind, context) => {
+    const term = rawTerm.replace(/\s+/g, ' ').replace(/[\s:;,.]+$/, '').trim();
+    const wordCount = term.split(' ').length;
+    if (term.length < 2 || wordCount > TERM_MAX_WORDS || !/\p{L}/u.test(term)) {
+      return;
+    }
+    const key = term.toLowerCase();
+    if (!candidates[key]) {
+      candidates[key] = { term, kinds: [], frequency: 0 };
+    }
+    const candidate = candidates[key];
+    candidate.frequency += 1;
+    if (!candidate.kinds.includes(kind)) {
+      candidate.kinds.push(kind);
+    }
+    if (!candidate.context && isNonEmptyString(context)) {
+      candidate.context = createTermContext(context);
+    }
+  };
+  const $ = cheerio.load(page.contents, { decodeEntities: true }, false);
+  $('[translate="no"], [data-libre-attrs], [data-libre-pagetitle]').remove();
+  if (isGlossaryPage(page)) {
+    $('tr').each((_idx, row) => {
+      const cells = $(row).children('td');
+      if (cells.length > 1) {
+        addCandidate(cells.eq(0).text(), 'glossary-page', cells.eq(1).text());
+      }
+    });
+  }
+  $('dt').each((_idx, elem) => {
+    const $elem = $(elem);
+    addCandidate($elem.text(), 'definition-list', $elem.nextAll('dd').first().text());
+  });
+  $('b, strong').each((_idx, elem) => {
+    const $elem = $(elem);
+    addCandidate($elem.text(), 'bold', $elem.closest('p, li, td, dd').text());
+  });
+  if (sourceLanguage?.startsWith(ENGLISH_LANG_CODE)) {
+    $('p, li, td, dd').each((_idx, elem) => {
+      if ($(elem).find('p, li, td, dd').length > 0) {
+        return; // counted in the nested elements
+      }
+      const text = $(elem).text();
+      text.split(/[.!?;:()[\]]+/).forEach((sentence) => {
+        const words = sentence.match(/[A-Za-z][A-Za-z-]*/g) || [];
+        for (let size = 2; size <= 3; size += 1) {
+          for (let i = 0; i + size <= words.length; i += 1) {
+            const phrase = words.slice(i, i + size);
+            const first = phrase[0].toLowerCase();
+            const last = phrase[size - 1].toLowerCase();
+            if (!ENGLISH_STOPWORDS.has(first) && !ENGLISH_STOPWORDS.has(last) && last.length > 2) {
+              addCandidate(phrase.join(' '), 'frequent-phrase', text);
+            }
+          }
+        }
+      });
+    });
+  }
+  return candidates;
+}
+
+/**
+ * Merges the candidate terms found in a page into those found so far. If there are too many
+ * candidates to keep in the checkpoint, phrases only found once are dropped.
+ *
+ * @param {Object<string, TermCandidate>} candidates - The candidates found so far.
+ * @param {Object<string, TermCandidate>} found - The candidates found in a page.
+ * @returns {Object<string, TermCandidate>} The merged candidates.
+ */
+function mergeTermCandidates(candidates, found) {
+  const merged = { ...candidates };
+  Object.entries(found).forEach(([key, candidate]) => {
+    const existing = merged[key];
+    merged[key] = existing ? {
+      ...existing,
+      kinds: [...new Set([...existing.kinds, ...candidate.kinds])],
+      frequency: existing.frequency + candidate.frequency,
+      context: existing.context || candidate.context,
+    } : candidate;
+  });
+  if (Object.keys(merged).length > TERM_CANDIDATE_LIMIT) {
+    Object.entries(merged).forEach(([key, candidate]) => {
+      if (candidate.frequency === 1 && candidate.kinds.every((kind) => kind === 'frequent-phrase')) {
+        delete merged[key];
+      }
+    });
+  }
+  return merged;
+}
+
+/**
+ * Formats a row of values as a line of CSV.
+ *
+ * @param {Array<string|number>} values - The row's values.
+ * @returns {string} The CSV line.
+ */
+function formatCSVRow(values) {
+  return values.map((value) => {
+    const str = `${value ?? ''}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }).join(',');
+}
+
+/**
+ * Parses CSV text into rows of values.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} The rows of values.
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  for (let i = 0, n = text.length; i < n; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (value.length > 0 || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows.filter((values) => values.some((val) => val.trim().length > 0));
+}
+
+/**
+ * Creates a reviewable CSV of candidate glossary terms. The first columns are the source
+ * language and each target language (left empty for reviewers to fill in), followed by the
+ * term's frequency, where it was found, and an example context. Explicitly marked terms are
+ * listed first, followed by the most frequent phrases.
+ *
+ * @param {Object<string, TermCandidate>} candidates - The candidates found in the text.
+ * @param {string} sourceLanguage - The language code of the text.
+ * @param {string[]} languages - The target language codes.
+ * @returns {string} The CSV text.
+ */
+function createTermCandidatesCSV(candidates, sourceLanguage, languages) {
+  const byFrequency = (a, b) => b.frequency - a.frequency || a.term.localeCompare(b.term);
+  const all = Object.values(candidates);
+  const marked = all.filter((candidate) => candidate.kinds.some((kind) => kind !== 'frequent-phrase'));
+  const phrases = all
+    .filter((candidate) => candidate.kinds.every((kind) => kind === 'frequent-phrase'))
+    .filter((candidate) => candidate.frequency >= TERM_PHRASE_MIN_FREQUENCY)
+    .sort(byFrequency)
+    .slice(0, TERM_PHRASE_LIMIT);
+  const rows = [...marked.sort(byFrequency), ...phrases].map((candidate) => formatCSVRow([
+    candidate.term,
+    ...languages.map(() => ''),
+    candidate.frequency,
+    candidate.kinds.join(' '),
+    candidate.context,
+  ]));
+  const header = formatCSVRow([sourceLanguage, ...languages, ...GLOSSARY_REVIEW_COLUMNS]);
+  return `${[header, ...rows].join('\n')}\n`;
+}
+
+/**
+ * Removes the review columns (frequency, kind, and context) from a CSV glossary, along with terms
+ * that haven't been translated, so a reviewed candidates file can be imported as terminology.
+ *
+ * @param {string} text - The CSV glossary.
+ * @returns {string} The CSV glossary, with only language columns and translated terms.
+ */
+function removeGlossaryReviewColumns(text) {
+  const [header, ...rows] = parseCSV(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    return text;
+  }
+  const languageCols = header
+    .map((name, idx) => [name.trim(), idx])
+    .filter(([name]) => !GLOSSARY_REVIEW_COLUMNS.includes(name.toLowerCase()))
+    .map(([, idx]) => idx);
+  if (languageCols.length === header.length) {
+    return text;
+  }
+  const translatedRows = rows.filter((row) => (
+    languageCols.slice(1).some((idx) => isNonEmptyString(row[idx]))
+  ));
+  return `${[header, ...translatedRows]
+    .map((row) => formatCSVRow(languageCols.map((idx) => row[idx])))
+    .join('\n')}\n`;
+}
+
+/**
+ * Saves a text's candidate glossary terms as a reviewable CSV in the output bucket.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {Object<string, TermCandidate>} candidates - The candidates found in the text.
+ * @param {object} info - Information about the analysis.
+ * @param {string} info.coverID - The text's cover page identifier.
+ * @param {string} info.jobID - The engine job identifier.
+ * @param {string} info.sourceLanguage - The language code of the text.
+ * @param {string[]} info.languages - The target language codes.
+ * @returns {Promise<{key: string, count: number}|null>} The CSV's S3 object key and number of
+ *  terms listed, or null if error encountered.
+ */
+async function saveTermCandidates(s3Client, candidates, {
+  coverID,
+  jobID,
+  sourceLanguage,
+  languages,
+}) {
+  const csv = createTermCandidatesCSV(candidates, sourceLanguage, languages);
+  const key = `glossary-candidates/${coverID}/${jobID}.csv`;
+  try {
+    const saveRes = await s3Client.send(new PutObjectCommand({
+      Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+      Key: key,
+      Body: Buffer.from(csv),
+      ContentType: 'text/csv',
+    }));
+    if (saveRes.$metadata?.httpStatusCode !== 200) {
+      throw (new Error('Unknown error encountered using S3 API.'));
+    }
+    const count = csv.trim().split('\n').length - 1;
+    console.log(`[ANALYZE] Saved ${count} candidate terms to "${key}".`);
+    return { key, count };
+  } catch (e) {
+    console.error('[ANALYZE] Error saving candidate terms:');
+    console.error(e);
+  }
+  return null;
+}
+
+/**
+ * Builds the S3 object key of the translation state saved for a text and target.
+ *
+ * @param {string} coverID - The lib-ID format identifier of the root page.
+ * @param {string} targetLib - The library the text is translated to.
+ * @param {string} language - The language code the text is translated to.
+ * @returns {string} The state file's key in the engine output bucket.
+ */
+function getTranslationStateKey(coverID, targetLib, language) {
+  return `${coverID}/${coverID}.${targetLib}-${language}.state.json`;
+}
+
+/**
+ * Retrieves the state of a previous translation of a text to the same target, if one exists.
+ *
+ * @param {string} coverID - The lib-ID format identifier of the root page.
+ * @param {string} targetLib - The library the text is translated to.
+ * @param {string} targetPath - The path the text is saved under.
+ * @param {string} language - The language code the text is translated to.
+ * @returns {Promise<TranslationState|null>} The previous state, or null if not found or
+ *  the previous translation had a different target path.
+ */
+async function retrieveTranslationState(coverID, targetLib, targetPath, language) {
+  try {
+    const s3Client = new S3Client({
+      credentials: {
+        accessKeyId: process.env.AWS_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_S3_SECRET_ACCESS_KEY,
+      },
+      region: process.env.AWS_ENGINE_REGION,
+    });
+    const stateRes = await s3Client.send(new GetObjectCommand({
+      Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+      Key: getTranslationStateKey(coverID, targetLib, language),
+    }));
+    const state = JSON.parse(await readableToString(stateRes.Body));
+    if (state.targetPath !== targetPath || typeof (state.pages) !== 'object') {
+      console.log('[TRANSLATION STATE] Previous translation used a different target, ignoring.');
+      return null;
+    }
+    return state;
+  } catch (e) {
+    if (e.name !== 'NoSuchKey') {
+      console.warn('[TRANSLATION STATE] Warning: Error retrieving previous translation state:');
+      console.warn(e);
+    }
+  }
+  return null;
+}
+
+/**
+ * Compares a page's content hash against a previous translation's state, determining if the
+ * page has changed and recording the location of its existing translation.
+ *
+ * @param {LibrePage} page - A page information object, with its content hash added.
+ * @param {TranslationState|null} state - The previous translation's state, if any.
+ * @param {Set<string>} [retryPages] - Identifiers of the pages to retry, if retrying a previous
+ *  job's failed pages. All other previously translated pages are treated as unchanged.
+ * @returns {PageTargetState} The page's state relative to the previous translation.
+ */
+function getPageTargetState(page, state, retryPages = null) {
+  const pageKey = `${page.lib}-${page.id}`;
+  const previous = state?.pages[pageKey];
+  if (!previous) {
+    return { unchanged: false };
+  }
+  return {
+    unchanged: retryPages ? !retryPages.has(pageKey) : previous.contentHash === page.contentHash,
+    previousTargetID: previous.targetID,
+    previousTargetPath: previous.relativePath,
+    previousTargetRevision: previous.revision,
+  };
+}
+
+/**
+ * Compares a page against the previous translations to each of the job's targets.
+ *
+ * @param {LibrePage} page - A page information object, with its content hash added.
+ * @param {object[]} targets - The job's targets, each with its previous translation's state (if
+ *  any) and the pages to retry (if retrying).
+ * @returns {Object<string, PageTargetState>} The page's state for each target, by language.
+ */
+function getPageTargetStates(page, targets) {
+  return Object.fromEntries(targets.map(({ target, previousState, retryPages }) => [
+    target.language,
+    getPageTargetState(page, previousState, retryPages),
+  ]));
+}
+
+/**
+ * Checks if a page is unchanged for all of the job's targets, so it doesn't need to be
+ * translated at all.
+ *
+ * @param {LibrePage} page - A page information object, with target states added.
+ * @returns {boolean} True if the page is unchanged for every target, false otherwise.
+ */
+function isPageUnchanged(page) {
+  const targetStates = Object.values(page.targets || {});
+  return targetStates.length > 0 && targetStates.every((targetState) => targetState.unchanged);
+}
+
+/**
+ * Retrieves the targets of a job from its queue message parameters.
+ *
+ * @param {object} reqParams - The job's queue message parameters.
+ * @returns {TranslationTarget[]} The job's targets.
+ */
+function getJobTargets(reqParams) {
+  if (Array.isArray(reqParams.targets)) {
+    return reqParams.targets;
+  }
+  const { language, targetLib, targetPath } = reqParams; // queued before multiple targets
+  return [{ language, targetLib, targetPath }];
+}
+
+/**
+ * Deletes the input files left over from a previous run of a text, so they aren't
+ * translated again.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {string} coverID - The lib-ID format identifier of the root page.
+ * @returns {Promise<boolean>} True if the files were deleted (or none existed), false otherwise.
+ */
+async function clearInputFiles(s3Client, coverID) {
+  try {
+    const bucket = process.env.AWS_S3_INPUT_BUCKET;
+    const staleKeys = await listFileKeys(s3Client, bucket, `${coverID}/`);
+    const maxBatchSize = 1000;
+    const batches = [];
+    for (let i = 0, n = staleKeys.length; i < n; i += maxBatchSize) {
+      batches.push(staleKeys.slice(i, i + maxBatchSize));
+    }
+    await async.eachSeries(batches, async (batch) => {
+      await s3Client.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: {
+          Objects: batch.map((key) => ({ Key: key })),
+          Quiet: true,
+        },
+      }));
+    });
+    return true;
+  } catch (e) {
+    console.error('[CLEAR INPUT] Error deleting previous input files:');
+    console.error(e);
+  }
+  return false;
+}
+
+/**
+ * Recursively flattens a page hierarchy and removes unnecessary information, like page contents.
+ *
+ * @param {LibrePage} page - A page information object.
+ * @returns {LibrePage[]} The flattened array without page contents.
+ */
+function createFlatPageMetadataList(page) {
+  let pagesArr = [];
+  const pageData = page;
+  if (Array.isArray(pageData.subpages)) {
+    for (let i = 0, n = pageData.subpages.length; i < n; i += 1) {
+      pagesArr = [...pagesArr, ...createFlatPageMetadataList(pageData.subpages[i])];
+    }
+  }
+  delete pageData.contents;
+  delete pageData.subpages;
+  pagesArr.unshift(pageData); // prepend current to preserve "ordering"
+  return pagesArr;
+}
+
+/**
+ * Recursively counts the number of pages in a page hierarchy.
+ *
+ * @param {LibrePage} page - A page information object.
+ * @returns {number} The number of pages in the hierarchy, including the provided page.
+ */
+function countPages(page) {
+  if (typeof (page) !== 'object' || page === null) {
+    return 0;
+  }
+  let count = 1;
+  if (Array.isArray(page.subpages)) {
+    for (let i = 0, n = page.subpages.length; i < n; i += 1) {
+      count += countPages(page.subpages[i]);
+    }
+  }
+  return count;
+}
+
+/**
+ * Recursively creates AWS S3 upload commands for a page hierachy's contents. Pages unchanged for
+ * every target since a previous translation are skipped.
+ *
+ * @param {LibrePage} page - A page information object.
+ * @param {string} [directory] - The parent directory path to prepend to the file key, if not root.
+ * @returns {Promise<PutObjectCommand>[]} An array of thenable S3 PutObjectCommand's.
+ */
+function createUploadCommands(page, directory) {
+  let commands = [];
+  let dirRoot = '';
+  if (page.root === true) {
+    dirRoot = `${page.lib}-${page.id}`;
+  } else if (typeof (directory) === 'string') {
+    dirRoot = directory;
+  } else {
+    throw (new Error('nodirectory'));
+  }
+  if (!isPageUnchanged(page)) {
+    const fileKey = `${dirRoot}/${page.lib}-${page.id}.html`;
+    commands.push(new PutObjectCommand({
+      Bucket: process.env.AWS_S3_INPUT_BUCKET,
+      Key: fileKey,
+      Body: Buffer.from(page.contents),
+    }));
+  }
+  if (Array.isArray(page.subpages)) {
+    for (let i = 0, n = page.subpages.length; i < n; i += 1) {
+      commands = [
+        ...commands,
+        ...createUploadCommands(page.subpages[i], dirRoot),
+      ];
+    }
+  }
+  return commands;
+}
+
+/**
+ * Uploads the contents of pages in a LibreText to AWS S3, skipping pages that are unchanged
+ * since the text was last translated.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {LibrePage[]} pages - Page information objects, with processed contents.
+ * @param {string} coverID - The lib-ID format identifier of the text's root page.
+ * @returns {Promise<boolean>} True if all pages were uploaded, false otherwise.
+ */
+async function uploadPageContents(s3Client, pages, coverID) {
+  try {
+    const uploadCommands = pages.flatMap((page) => createUploadCommands(page, coverID));
+    const uploadResponses = await async.map(uploadCommands, async (comm) => s3Client.send(comm));
+    const failCount = uploadResponses.filter((res) => res.$metadata?.httpStatusCode !== 200).length;
+    if (failCount > 0) {
+      console.error(`[UPLOAD CONTENT] ${failCount} pages failed to upload.`);
+      return false;
+    }
+    return true;
+  } catch (e) {
+    console.error('[UPLOAD CONTENT] Error uploading content:');
+    console.error(e);
+  }
+  return false;
+}
+
+/**
+ * Builds the S3 object key of a page's cached contents from a dry run's crawl.
+ *
+ * @param {string} jobID - The engine job identifier of the dry run.
+ * @param {string} pageKey - The page's lib-ID identifier.
+ * @returns {string} The cached contents' key in the engine output bucket.
+ */
+function getCrawlCacheKey(jobID, pageKey) {
+  return `crawls/${jobID}/${pageKey}.html`;
+}
+
+/**
+ * Saves the pre-processed contents of pages crawled during a dry run to S3, so a later run can
+ * reuse the crawl instead of retrieving the pages again.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {LibrePage[]} pages - Page information objects, with processed contents.
+ * @param {string} jobID - The engine job identifier of the dry run.
+ * @returns {Promise<boolean>} True if all pages were saved, false otherwise.
+ */
+async function cacheCrawledContents(s3Client, pages, jobID) {
+  try {
+    await async.eachLimit(pages, MAX_CONCURRENT, async (page) => {
+      await s3Client.send(new PutObjectCommand({
+        Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+        Key: getCrawlCacheKey(jobID, `${page.lib}-${page.id}`),
+        Body: Buffer.from(page.contents),
+      }));
+    });
+    return true;
+  } catch (e) {
+    console.error('[CRAWL CACHE] Error caching page contents:');
+    console.error(e);
+  }
+  return false;
+}
+
+/**
+ * Copies the cached contents of pages from a dry run's crawl to the input bucket, skipping
+ * pages that are unchanged since the text was last translated.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {string} crawlJobID - The engine job identifier of the dry run.
+ * @param {LibrePage[]} pages - Page information objects, with target states added.
+ * @param {string} coverID - The lib-ID format identifier of the text's root page.
+ * @returns {Promise<boolean>} True if all pages were copied, false otherwise.
+ */
+async function copyCachedContents(s3Client, crawlJobID, pages, coverID) {
+  try {
+    const changedPages = pages.filter((page) => !isPageUnchanged(page));
+    await async.eachLimit(changedPages, MAX_CONCURRENT, async (page) => {
+      const pageKey = `${page.lib}-${page.id}`;
+      await s3Client.send(new CopyObjectCommand({
+        Bucket: process.env.AWS_S3_INPUT_BUCKET,
+        Key: `${coverID}/${pageKey}.html`,
+        CopySource: `${process.env.AWS_S3_OUTPUT_BUCKET}/${getCrawlCacheKey(crawlJobID, pageKey)}`,
+      }));
+    });
+    return true;
+  } catch (e) {
+    console.error('[CRAWL CACHE] Error copying cached page contents:');
+    console.error(e);
+  }
+  return false;
+}
+
+/**
+ * Uploads a LibreText's relevant metadata to AWS S3, once its page contents have been uploaded.
+ *
+ * @param {LibrePage} page - A page information object.
+ * @param {TranslationTarget[]} targets - Where to place the text's translations.
  * @param {string[]} [notifyAddrs] - An array of email addresses to notify when the
  *  engine run has completed.
+ * @param {object} [jobInfo] - Information about the engine job.
+ * @param {string} [jobInfo.jobID] - The engine job identifier, if available.
+ * @param {string} [jobInfo.sourceLanguage] - The language code of the original text.
+ * @param {boolean} [jobInfo.sourceLanguageDetected] - Indicates the source language was
+ *  detected automatically.
+ * @param {LibrePage[]} [jobInfo.ancestry] - The root page's ancestors, if translating a subtree.
+ * @param {string} [jobInfo.writePolicy] - How to handle pages that already exist on the target
+ *  library ('skip', 'overwrite', or 'overwrite-if-unedited').
+ * @param {string} [jobInfo.onFailure] - How to handle pages created by a failed save ('keep',
+ *  'delete', or 'quarantine').
+ * @param {string} [jobInfo.review] - How to hold the translation for review before publishing
+ *  ('staging' or 'tag'), if requested.
+ * @param {Glossary} [jobInfo.glossary] - The glossary the text is translated with, if any.
  * @returns {Promise<boolean>} Whether the upload(s) succeeded.
  */
-async function uploadLibreText(page, { targetLib, targetPath }, notifyAddrs) {
-  if (page === null || typeof (page) !== 'object') return false;
-  let uploadSuccess = true;
+async function uploadLibreText(
+  page,
+  targets,
+  notifyAddrs,
+  {
+    jobID,
+    sourceLanguage,
+    sourceLanguageDetected,
+    ancestry,
+    writePolicy,
+    onFailure,
+    review,
+    glossary,
+  } = {},
+) {
+  if (page === null || typeof (page) !== 'object') return false;
+  let uploadSuccess = true;
+  const s3Client = new S3Client({
+    credentials: {
+      accessKeyId: process.env.AWS_S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_S3_SECRET_ACCESS_KEY,
+    },
+    region: process.env.AWS_ENGINE_REGION,
+  });
+  try {
+    const rootID = `${page.lib}-${page.id}`;
+    /* Upload page structure to use in post-processing */
+    const flatMetadata = createFlatPageMetadataList(page);
+    const rootData = {
+      lib: page.lib,
+      id: page.id,
+      pageCount: flatMetadata.length,
+      uploaded: new Date().toISOString(),
+      allPages: flatMetadata,
+      targets,
+      notifyAddrs,
+      jobID,
+      sourceLanguage,
+      sourceLanguageDetected,
+      writePolicy,
+      onFailure,
+      ...(isNonEmptyString(review) && { review }),
+      ...(glossary && { glossary: { name: glossary.name, version: glossary.version } }),
+      ...(Array.isArray(ancestry) && {
+        subtree: true,
+        ancestry,
+      }),
+    };
+    await s3Client.send(new PutObjectCommand({
+      Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+      Key: `${rootID}/${rootID}.metadata.json`,
+      Body: Buffer.from(JSON.stringify(rootData)),
+    }));
+  } catch (e) {
+    console.error('[UPLOAD CONTENT] Error uploading metadata:');
+    console.error(e);
+    uploadSuccess = false;
+  }
+  return uploadSuccess;
+}
+
+/**
+ * Submits a Batch Translation Job request to the AWS Translate API.
+ * For language codes, see {@link https://docs.aws.amazon.com/translate/latest/dg/what-is-languages.html}
+ *
+ * @param {TranslationJobRequest} jobRequest - Information about the job to submit.
+ * @returns {Promise<string|null>} The Translate job identifier, or null if error encountered.
+ */
+async function submitAWSTranslationJob({
+  coverID,
+  jobName,
+  outputPrefix,
+  sourceLangCode,
+  targetLangCodes,
+  terminologyName,
+}) {
+  const transClient = new TranslateClient({
+    credentials: {
+      accessKeyId: process.env.AWS_TRANS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_TRANS_SECRET_ACCESS_KEY,
+    },
+    region: process.env.AWS_ENGINE_REGION,
+  });
+  try {
+    const transReqResponse = await transClient.send(new StartTextTranslationJobCommand({
+      DataAccessRoleArn: process.env.AWS_TRANS_ROLE_ARN,
+      InputDataConfig: {
+        ContentType: 'text/html',
+        S3Uri: `s3://${process.env.AWS_S3_INPUT_BUCKET}/${coverID}/`,
+      },
+      JobName: jobName,
+      OutputDataConfig: {
+        S3Uri: `s3://${process.env.AWS_S3_OUTPUT_BUCKET}/${outputPrefix}`,
+      },
+      SourceLanguageCode: sourceLangCode,
+      TargetLanguageCodes: targetLangCodes,
+      ...(isNonEmptyString(terminologyName) && { TerminologyNames: [terminologyName] }),
+    }));
+    if (transReqResponse.$metadata?.httpStatusCode !== 200) {
+      throw (new Error('Unknown error encountered using Translate API.'));
+    }
+    return transReqResponse.JobId;
+  } catch (e) {
+    console.error('[AWS TRANSLATE] Error submitting job:');
+    console.error(e);
+  }
+  return null;
+}
+
+/**
+ * Imports a glossary into Amazon Translate as custom terminology, unless the same version was
+ * already imported. Terminology is imported as multi-directional, so any language in the
+ * glossary can be the source. The glossary file is only read if it's still the version found
+ * when the job started, since the job's translation memory was chosen by that version.
+ *
+ * @param {Glossary} glossary - The glossary to import.
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @returns {Promise<string|null>} The terminology's name, or null if error encountered.
+ */
+async function prepareAWSTerminology(glossary, s3Client) {
+  const terminologyName = `polyglot-${glossary.name}`;
+  const description = `version:${glossary.version}`;
+  const transClient = new TranslateClient({
+    credentials: {
+      accessKeyId: process.env.AWS_TRANS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_TRANS_SECRET_ACCESS_KEY,
+    },
+    region: process.env.AWS_ENGINE_REGION,
+  });
+  try {
+    const termRes = await transClient.send(new GetTerminologyCommand({
+      Name: terminologyName,
+      TerminologyDataFormat: glossary.format.toUpperCase(),
+    }));
+    if (termRes.TerminologyProperties?.Description === description) {
+      console.log(`[AWS TERMINOLOGY] "${terminologyName}" is up to date.`);
+      return terminologyName;
+    }
+  } catch (e) {
+    if (e.name !== 'ResourceNotFoundException') {
+      console.warn('[AWS TERMINOLOGY] Warning: Error retrieving terminology:');
+      console.warn(e);
+    }
+  }
+  try {
+    console.log(`[AWS TERMINOLOGY] Importing "${glossary.key}" as "${terminologyName}"...`);
+    const glossaryRes = await s3Client.send(new GetObjectCommand({
+      Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+      Key: glossary.key,
+      IfMatch: `"${glossary.version}"`,
+    }));
+    const glossaryText = await readableToString(glossaryRes.Body);
+    /* reviewed term candidate files still have their review columns */
+    const glossaryFile = Buffer.from(glossary.format === 'csv'
+      ? removeGlossaryReviewColumns(glossaryText)
+      : glossaryText);
+    const importRes = await transClient.send(new ImportTerminologyCommand({
+      Name: terminologyName,
+      Description: description,
+      MergeStrategy: 'OVERWRITE',
+      TerminologyData: {
+        File: glossaryFile,
+        Format: glossary.format.toUpperCase(),
+        Directionality: 'MULTI',
+      },
+    }));
+    if (importRes.$metadata?.httpStatusCode !== 200) {
+      throw (new Error('Unknown error encountered using Translate API.'));
+    }
+    return terminologyName;
+  } catch (e) {
+    if (e.$metadata?.httpStatusCode === 412) {
+      console.error(`[AWS TERMINOLOGY] "${glossary.key}" changed after the job started, start the job again to use the new version.`);
+      return null;
+    }
+    console.error('[AWS TERMINOLOGY] Error importing terminology:');
+    console.error(e);
+  }
+  return null;
+}
+
+/**
+ * Translates an HTML document using a self-hosted, LibreTranslate-compatible server. If no
+ * server is configured, the document is returned unchanged so the pipeline can be exercised
+ * offline (and the job's output is marked as untranslated).
+ *
+ * @param {string} contents - The HTML document to translate.
+ * @param {string} sourceLangCode - The language code of the input document.
+ * @param {string} targetLangCode - The language code of the desired output language.
+ * @returns {Promise<string>} The translated document.
+ */
+async function translateWithLocalServer(contents, sourceLangCode, targetLangCode) {
+  if (!isNonEmptyString(process.env.LOCAL_TRANSLATE_URL)) {
+    return contents;
+  }
+  const serverURL = process.env.LOCAL_TRANSLATE_URL.replace(/\/$/, '');
+  const transRes = await axiosInstance.post(`${serverURL}/translate`, {
+    q: contents,
+    source: sourceLangCode,
+    target: targetLangCode,
+    format: 'html',
+    ...(isNonEmptyString(process.env.LOCAL_TRANSLATE_API_KEY) && {
+      api_key: process.env.LOCAL_TRANSLATE_API_KEY,
+    }),
+  }, {
+    headers: { 'Content-Type': 'application/json' },
+  });
+  if (typeof (transRes.data?.translatedText) !== 'string') {
+    throw (new Error('Invalid response returned from local translation server.'));
+  }
+  return transRes.data.translatedText;
+}
+
+/**
+ * Builds the S3 object key of a local translation job's description.
+ *
+ * @param {string} jobID - The local job identifier.
+ * @returns {string} The description's key in the engine output bucket.
+ */
+function getLocalJobKey(jobID) {
+  return `local-jobs/${jobID}.json`;
+}
+
+/**
+ * Saves a local translation job's description, which doubles as its progress checkpoint, to S3.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {LocalTranslationJob} job - The job description to save.
+ * @returns {Promise<void>} Resolves once the description has been saved.
+ */
+async function saveLocalJob(s3Client, job) {
+  await s3Client.send(new PutObjectCommand({
+    Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+    Key: getLocalJobKey(job.jobId),
+    Body: Buffer.from(JSON.stringify({ ...job, updatedTime: new Date().toISOString() })),
+    ContentType: 'application/json',
+  }));
+}
+
+/**
+ * Submits a translation job to the local translation backend. The job is described in the
+ * engine output bucket, then run by StartTranslation in invocations of its own (queued like crawl
+ * continuations), so the crawl's invocation isn't held up by translating every document.
+ *
+ * @param {TranslationJobRequest} jobRequest - Information about the job to submit.
+ * @returns {Promise<string|null>} The local job identifier, or null if error encountered.
+ */
+async function submitLocalTranslationJob({
+  coverID,
+  jobName,
+  outputPrefix,
+  sourceLangCode,
+  targetLangCodes,
+}) {
+  const jobID = `local-${crypto.randomUUID()}`;
   const s3Client = new S3Client({
     credentials: {
       accessKeyId: process.env.AWS_S3_ACCESS_KEY_ID,
@@ -590,104 +2148,475 @@ async function uploadLibreText(page, { targetLib, targetPath }, notifyAddrs) {
     region: process.env.AWS_ENGINE_REGION,
   });
   try {
-    const uploadCommands = createUploadCommands(page);
-    const uploadResponses = await async.map(uploadCommands, async (comm) => s3Client.send(comm));
-    let failCount = 0;
-    for (let i = 0, n = uploadResponses.length; i < n; i += 1) {
-      if (uploadResponses[i].$metadata?.httpStatusCode !== 200) {
-        failCount += 1;
-      }
+    console.log(`[LOCAL TRANSLATE] Submitting job ${jobName} (${jobID})...`);
+    const inputBucket = process.env.AWS_S3_INPUT_BUCKET;
+    const outputBucket = process.env.AWS_S3_OUTPUT_BUCKET;
+    const inputPrefix = `${coverID}/`;
+    const jobOutputPrefix = `${outputPrefix}${jobID}/`;
+    const inputKeys = await listFileKeys(s3Client, inputBucket, inputPrefix);
+    /** @type {LocalTranslationJob} */
+    const job = {
+      jobId: jobID,
+      jobName,
+      jobStatus: 'IN_PROGRESS',
+      sourceLanguageCode: sourceLangCode,
+      targetLanguageCodes: targetLangCodes,
+      inputBucket,
+      inputPrefix,
+      outputBucket,
+      outputPrefix: jobOutputPrefix,
+      outputDataConfig: { S3Uri: `s3://${outputBucket}/${jobOutputPrefix}` },
+      untranslated: !isNonEmptyString(process.env.LOCAL_TRANSLATE_URL),
+      pending: targetLangCodes.flatMap((language) => inputKeys.map((inputKey) => ({
+        language,
+        inputKey,
+      }))),
+      languages: Object.fromEntries(targetLangCodes.map((language) => [
+        language,
+        { charactersTranslated: 0, serverErrors: 0, details: [] },
+      ])),
+      eventSent: false,
+      submittedTime: new Date().toISOString(),
+    };
+    await saveLocalJob(s3Client, job);
+    if (!await enqueueContinuation({ localJobID: jobID })) {
+      throw (new Error('Couldn\'t queue the job.'));
+    }
+    return jobID;
+  } catch (e) {
+    console.error('[LOCAL TRANSLATE] Error submitting job:');
+    console.error(e);
+  }
+  return null;
+}
+
+/**
+ * Translates one input document of a local translation job and saves the output in the same
+ * layout Amazon Translate uses, recording the outcome in the job's details for the language.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {LocalTranslationJob} job - The job the document belongs to.
+ * @param {object} item - The document to translate.
+ * @param {string} item.inputKey - The key of the document's input file.
+ * @param {string} item.language - The language code to translate the document into.
+ * @returns {Promise<void>} Resolves once the document has been translated or its error recorded.
+ */
+async function translateLocalJobDocument(s3Client, job, { inputKey, language }) {
+  const sourceFile = inputKey.replace(job.inputPrefix, '');
+  const targetFile = `${language}.${sourceFile}`;
+  const languageJob = job.languages[language];
+  try {
+    const inputRes = await s3Client.send(new GetObjectCommand({
+      Bucket: job.inputBucket,
+      Key: inputKey,
+    }));
+    const contents = await readableToString(inputRes.Body);
+    const translated = await translateWithLocalServer(contents, job.sourceLanguageCode, language);
+    await s3Client.send(new PutObjectCommand({
+      Bucket: job.outputBucket,
+      Key: `${job.outputPrefix}${targetFile}`,
+      Body: Buffer.from(translated),
+    }));
+    languageJob.charactersTranslated += contents.length;
+    languageJob.details.push({ sourceFile, targetFile });
+  } catch (e) {
+    console.error(`[LOCAL TRANSLATE] Error translating ${sourceFile} into "${language}":`);
+    console.error(e);
+    languageJob.serverErrors += 1;
+    languageJob.details.push({
+      sourceFile,
+      auxiliaryData: {
+        error: { errorCode: 'InternalServerException', errorMessage: e.message },
+      },
+    });
+  }
+}
+
+/**
+ * Runs (or continues) a job submitted to the local translation backend. Documents are
+ * translated in chunks, and the job's progress is saved after each one, so the job can be
+ * continued in a new invocation before the Lambda time limit is reached. Once every document is
+ * translated, an auxiliary details file is saved for each language and a job state change event
+ * is published so ProcessTranslated can pick up the results.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {string} jobID - The local job identifier.
+ * @param {Function} timeRemaining - Returns the invocation's remaining time in milliseconds.
+ * @returns {Promise<boolean>} True if the job is finished (or can't be run), false if it needs
+ *  to be continued in a new invocation.
+ */
+async function runLocalTranslationJob(s3Client, jobID, timeRemaining) {
+  let job;
+  try {
+    const jobRes = await s3Client.send(new GetObjectCommand({
+      Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+      Key: getLocalJobKey(jobID),
+    }));
+    job = JSON.parse(await readableToString(jobRes.Body));
+  } catch (e) {
+    console.error(`[LOCAL TRANSLATE] Error retrieving job ${jobID}:`);
+    console.error(e);
+    return true; // the job can't be run, so don't retry it
+  }
+  if (job.eventSent) {
+    console.log(`[LOCAL TRANSLATE] Job ${jobID} was already completed.`);
+    return true;
+  }
+  console.log(`[LOCAL TRANSLATE] Running job ${job.jobName} (${jobID}), ${job.pending.length} documents left...`);
+  let outOfTime = false;
+  await async.whilst(async () => job.pending.length > 0 && !outOfTime, async () => {
+    if (timeRemaining() < CHECKPOINT_TIME_MARGIN) {
+      console.log(`[LOCAL TRANSLATE] Time limit approaching with ${job.pending.length} documents left, continuing in a new invocation...`);
+      outOfTime = true;
+      return;
     }
-    if (failCount === 0) {
-      const rootID = `${page.lib}-${page.id}`;
-      /* Upload page structure to use in post-processing */
-      const flatMetadata = createFlatPageMetadataList(page);
-      const rootData = {
-        lib: page.lib,
-        id: page.id,
-        pageCount: flatMetadata.length,
-        uploaded: new Date().toISOString(),
-        allPages: flatMetadata,
-        targetLib,
-        targetPath,
-        notifyAddrs,
+    const chunk = job.pending.slice(0, CRAWL_CHUNK_SIZE);
+    await async.eachLimit(chunk, MAX_CONCURRENT, async (item) => (
+      translateLocalJobDocument(s3Client, job, item)
+    ));
+    job.pending = job.pending.slice(chunk.length);
+    await saveLocalJob(s3Client, job);
+  });
+  if (outOfTime) {
+    return false;
+  }
+
+  if (job.jobStatus !== 'COMPLETED') {
+    await async.eachSeries(job.targetLanguageCodes, async (language) => {
+      const { charactersTranslated, serverErrors, details } = job.languages[language];
+      const detailsFile = {
+        sourceLanguageCode: job.sourceLanguageCode,
+        targetLanguageCode: language,
+        charactersTranslated: charactersTranslated.toString(),
+        documentCountWithCustomerError: '0',
+        documentCountWithServerError: serverErrors.toString(),
+        inputDataPrefix: `s3://${job.inputBucket}/${job.inputPrefix}`,
+        outputDataPrefix: job.outputDataConfig.S3Uri,
+        ...(job.untranslated && { untranslated: true }),
+        details,
       };
       await s3Client.send(new PutObjectCommand({
-        Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
-        Key: `${rootID}/${rootID}.metadata.json`,
-        Body: Buffer.from(JSON.stringify(rootData)),
+        Bucket: job.outputBucket,
+        Key: `${job.outputPrefix}details/${language}.auxiliary-translation-details.json`,
+        Body: Buffer.from(JSON.stringify(detailsFile)),
       }));
-    } else {
-      console.error(`[UPLOAD CONTENT] ${failCount} pages failed to upload.`);
-      uploadSuccess = false;
+    });
+    job.jobStatus = 'COMPLETED';
+    await saveLocalJob(s3Client, job);
+  }
+
+  /* the event is sent last, so a failure to send it is retried with the queue message */
+  const eventsClient = new EventBridgeClient({ region: process.env.AWS_ENGINE_REGION });
+  const eventRes = await eventsClient.send(new PutEventsCommand({
+    Entries: [{
+      Source: 'libretexts.polyglot',
+      DetailType: 'Translate TextTranslationJob State Change',
+      Detail: JSON.stringify({ jobId: jobID, jobStatus: 'COMPLETED', provider: 'local' }),
+      EventBusName: process.env.AWS_EVENTBRIDGE_BUS_NAME,
+    }],
+  }));
+  if (eventRes.FailedEntryCount > 0) {
+    throw (new Error('Error publishing job completion event.'));
+  }
+  job.eventSent = true;
+  await saveLocalJob(s3Client, job);
+  console.log(`[LOCAL TRANSLATE] Job ${jobID} completed.`);
+  return true;
+}
+
+/**
+ * Detects the dominant language of a text sample using Amazon Comprehend.
+ *
+ * @param {string} text - The text sample to examine.
+ * @returns {Promise<string|null>} The detected language code, or null if error encountered.
+ */
+async function detectAWSLanguage(text) {
+  try {
+    const compClient = new ComprehendClient({ region: process.env.AWS_ENGINE_REGION });
+    const detectRes = await compClient.send(new DetectDominantLanguageCommand({ Text: text }));
+    if (detectRes.$metadata?.httpStatusCode !== 200) {
+      throw (new Error('Unknown error encountered using Comprehend API.'));
     }
+    const [bestMatch] = (detectRes.Languages || []).sort((a, b) => b.Score - a.Score);
+    return bestMatch?.LanguageCode || null;
   } catch (e) {
-    console.error('[UPLOAD CONTENT] Error uploading content or metadata:');
+    console.error('[AWS DETECT LANGUAGE] Error detecting language:');
     console.error(e);
-    uploadSuccess = false;
   }
-  return uploadSuccess;
+  return null;
 }
 
 /**
- * Submits a Batch Translation Job request to the AWS Translate API.
- * For language codes, see {@link https://docs.aws.amazon.com/translate/latest/dg/what-is-languages.html}
+ * Detects the dominant language of a text sample using a self-hosted, LibreTranslate-compatible
+ * server. If no server is configured, English is assumed.
  *
- * @param {string} coverID - The lib-ID format identifier of the root page.
- * @param {string} outLangCode - The target language code of the desired output language.
- * @returns {Promise<boolean>} True if job was successfully submitted, false otherwise.
+ * @param {string} text - The text sample to examine.
+ * @returns {Promise<string|null>} The detected language code, or null if error encountered.
  */
-async function initiateTranslationJob(coverID, outLangCode) {
-  if (typeof (outLangCode) !== 'string' || outLangCode.length < 2) {
-    console.error('[START TRANSLATION JOB] Target language code not provided.');
-    return false;
+async function detectLocalLanguage(text) {
+  if (!isNonEmptyString(process.env.LOCAL_TRANSLATE_URL)) {
+    return ENGLISH_LANG_CODE;
   }
-  let startSuccess = true;
-  const transClient = new TranslateClient({
-    credentials: {
-      accessKeyId: process.env.AWS_TRANS_ACCESS_KEY_ID,
-      secretAccessKey: process.env.AWS_TRANS_SECRET_ACCESS_KEY,
-    },
-    region: process.env.AWS_ENGINE_REGION,
-  });
   try {
-    const transReqResponse = await transClient.send(new StartTextTranslationJobCommand({
-      DataAccessRoleArn: process.env.AWS_TRANS_ROLE_ARN,
-      InputDataConfig: {
-        ContentType: 'text/html',
-        S3Uri: `s3://${process.env.AWS_S3_INPUT_BUCKET}/${coverID}/`,
-      },
-      JobName: `${coverID}-${outLangCode}`,
-      OutputDataConfig: {
-        S3Uri: `s3://${process.env.AWS_S3_OUTPUT_BUCKET}/${outLangCode}/${coverID}/`,
-      },
-      SourceLanguageCode: ENGLISH_LANG_CODE,
-      TargetLanguageCodes: [outLangCode],
-    }));
-    if (transReqResponse.$metadata?.httpStatusCode !== 200) {
-      startSuccess = false;
+    const serverURL = process.env.LOCAL_TRANSLATE_URL.replace(/\/$/, '');
+    const detectRes = await axiosInstance.post(`${serverURL}/detect`, {
+      q: text,
+      ...(isNonEmptyString(process.env.LOCAL_TRANSLATE_API_KEY) && {
+        api_key: process.env.LOCAL_TRANSLATE_API_KEY,
+      }),
+    }, {
+      headers: { 'Content-Type': 'application/json' },
+    });
+    if (!Array.isArray(detectRes.data)) {
+      throw (new Error('Invalid response returned from local translation server.'));
     }
+    const [bestMatch] = detectRes.data.sort((a, b) => b.confidence - a.confidence);
+    return bestMatch?.language || null;
   } catch (e) {
-    console.error('[START TRANSLATION JOB] Error submitting job:');
+    console.error('[LOCAL DETECT LANGUAGE] Error detecting language:');
     console.error(e);
-    startSuccess = false;
   }
-  return startSuccess;
+  return null;
+}
+
+/**
+ * The available machine translation backends, keyed by name.
+ *
+ * @type {Object<string, TranslationProvider>}
+ */
+const translationProviders = {
+  aws: {
+    name: 'aws',
+    submitJob: submitAWSTranslationJob,
+    detectLanguage: detectAWSLanguage,
+    costPerMillion: 15,
+    prepareGlossary: prepareAWSTerminology,
+  },
+  local: {
+    name: 'local',
+    submitJob: submitLocalTranslationJob,
+    detectLanguage: detectLocalLanguage,
+    costPerMillion: 0,
+  },
+};
+
+/**
+ * Retrieves the translation provider configured for the engine, defaulting to Amazon Translate.
+ *
+ * @returns {TranslationProvider} The configured translation provider.
+ */
+function getTranslationProvider() {
+  const providerName = process.env.TRANSLATION_PROVIDER?.trim().toLowerCase() || 'aws';
+  const provider = translationProviders[providerName];
+  if (!provider) {
+    console.warn(`[TRANSLATION PROVIDER] Unknown provider "${providerName}", using "aws".`);
+    return translationProviders.aws;
+  }
+  return provider;
+}
+
+/**
+ * Creates an estimate of the size and cost of translating a text from its processed pages.
+ *
+ * @param {LibrePage[]} pages - Processed page information objects, with target states added.
+ * @param {string[]} languages - The job's target language codes.
+ * @returns {CostEstimate} The estimate.
+ */
+function createCostEstimate(pages, languages) {
+  const provider = getTranslationProvider();
+  const configuredCost = Number.parseFloat(process.env.TRANSLATION_COST_PER_MILLION);
+  const costPerMillion = Number.isNaN(configuredCost) ? provider.costPerMillion : configuredCost;
+  const characterCount = pages.reduce((total, page) => total + (page.characterCount || 0), 0);
+  const targetCharacters = Object.fromEntries(languages.map((language) => [
+    language,
+    pages
+      .filter((page) => !page.targets?.[language]?.unchanged)
+      .reduce((total, page) => total + (page.characterCount || 0), 0),
+  ]));
+  const billedCharacters = Object.values(targetCharacters).reduce((a, b) => a + b, 0);
+  return {
+    provider: provider.name,
+    pageCount: pages.length,
+    characterCount,
+    targetCharacters,
+    billedCharacters,
+    costPerMillion,
+    estimatedCost: Math.round((billedCharacters * costPerMillion) / 10000) / 100, // to the cent
+  };
+}
+
+/**
+ * Recursively collects plain text from a page hierarchy's contents, up to a maximum length,
+ * to use as a language detection sample.
+ *
+ * @param {LibrePage} page - A page information object.
+ * @param {number} [maxLength] - The maximum length of the sample.
+ * @returns {string} The text sample.
+ */
+function createTextSample(page, maxLength = LANG_DETECT_SAMPLE_LENGTH) {
+  if (typeof (page) !== 'object' || page === null || maxLength <= 0) {
+    return '';
+  }
+  let sample = '';
+  if (typeof (page.contents) === 'string') {
+    const $ = cheerio.load(page.contents, { decodeEntities: true }, false);
+    $('pre, script, style, .script, .mt-script-comment, .mt-math-container').remove();
+    sample = `${page.title || ''} ${$.text()}`.replace(/\s+/g, ' ').trim();
+    sample = sample.slice(0, maxLength);
+  }
+  if (Array.isArray(page.subpages)) {
+    for (let i = 0, n = page.subpages.length; i < n && sample.length < maxLength; i += 1) {
+      const subSample = createTextSample(page.subpages[i], maxLength - sample.length - 1);
+      if (subSample.length > 0) {
+        sample = `${sample} ${subSample}`.trim();
+      }
+    }
+  }
+  return sample;
+}
+
+/**
+ * Detects the dominant language of a LibreText using a sample of its contents.
+ *
+ * @param {LibrePage} page - A page information object, with contents retrieved.
+ * @returns {Promise<string|null>} The detected language code, or null if it couldn't be detected.
+ */
+async function detectSourceLanguage(page) {
+  const sample = createTextSample(page);
+  if (!isNonEmptyString(sample)) {
+    console.warn('[DETECT LANGUAGE] No text found to sample.');
+    return null;
+  }
+  const provider = getTranslationProvider();
+  const detected = await provider.detectLanguage(sample);
+  if (isNonEmptyString(detected)) {
+    console.log(`[DETECT LANGUAGE] Detected "${detected}" using provider "${provider.name}".`);
+    return detected;
+  }
+  return null;
+}
+
+/**
+ * Retrieves information about a glossary stored in the engine output bucket, trying each
+ * supported file format.
+ *
+ * @param {S3Client} s3Client - An instantiated S3Client object.
+ * @param {string} name - The glossary's name.
+ * @returns {Promise<Glossary|null>} The glossary, or null if not found or error encountered.
+ */
+async function retrieveGlossary(s3Client, name) {
+  if (!isNonEmptyString(name)) {
+    return null;
+  }
+  const found = await async.mapSeries(GLOSSARY_FORMATS, async (format) => {
+    const key = `glossaries/${name}.${format}`;
+    try {
+      const headRes = await s3Client.send(new HeadObjectCommand({
+        Bucket: process.env.AWS_S3_OUTPUT_BUCKET,
+        Key: key,
+      }));
+      return {
+        name,
+        format,
+        key,
+        version: headRes.ETag?.replace(/"/g, ''),
+        updatedAt: headRes.LastModified?.toISOString(),
+      };
+    } catch (e) {
+      if (e.name !== 'NotFound') {
+        console.warn(`[GLOSSARY] Warning: Error retrieving glossary "${key}":`);
+        console.warn(e);
+      }
+    }
+    return null;
+  });
+  return found.find((glossary) => glossary !== null) || null;
+}
+
+/**
+ * Submits a translation job for an uploaded LibreText to the configured translation provider.
+ *
+ * @param {string} coverID - The lib-ID format identifier of the root page.
+ * @param {string[]} outLangCodes - The target language codes of the desired output languages.
+ * @param {string} [sourceLangCode] - The language code of the input content. Defaults to English.
+ * @param {Glossary} [glossary] - A glossary to apply as custom terminology, if any.
+ * @param {S3Client} [s3Client] - An instantiated S3Client object, to read the glossary with.
+ * @returns {Promise<object|null>} An object containing the provider name, the provider's
+ *  job identifier, and the glossary applied (if any), or null if error encountered.
+ */
+async function initiateTranslationJob(
+  coverID,
+  outLangCodes,
+  sourceLangCode = ENGLISH_LANG_CODE,
+  glossary = null,
+  s3Client = null,
+) {
+  if (
+    !Array.isArray(outLangCodes)
+    || outLangCodes.length === 0
+    || !outLangCodes.every((code) => typeof (code) === 'string' && code.length >= 2)
+  ) {
+    console.error('[START TRANSLATION JOB] Target language codes not provided.');
+    return null;
+  }
+  const provider = getTranslationProvider();
+  console.log(`[START TRANSLATION JOB] Using provider "${provider.name}".`);
+  let terminologyName;
+  if (glossary) {
+    if (typeof (provider.prepareGlossary) !== 'function') {
+      console.warn(`[START TRANSLATION JOB] Provider "${provider.name}" doesn't support glossaries, "${glossary.name}" won't be applied.`);
+    } else {
+      terminologyName = await provider.prepareGlossary(glossary, s3Client);
+      if (terminologyName === null) {
+        console.error(`[START TRANSLATION JOB] Error preparing glossary "${glossary.name}".`);
+        return null;
+      }
+    }
+  }
+  const langList = outLangCodes.join('-');
+  const providerJobID = await provider.submitJob({
+    coverID,
+    jobName: `${coverID}-${langList}`,
+    outputPrefix: `${langList}/${coverID}/`,
+    sourceLangCode,
+    targetLangCodes: outLangCodes,
+    terminologyName,
+  });
+  if (!isNonEmptyString(providerJobID)) {
+    console.error('[START TRANSLATION JOB] Error submitting job.');
+    return null;
+  }
+  return {
+    provider: provider.name,
+    providerJobID,
+    ...(glossary && {
+      glossary: {
+        name: glossary.name,
+        format: glossary.format,
+        version: glossary.version,
+        updatedAt: glossary.updatedAt,
+        applied: isNonEmptyString(terminologyName),
+      },
+    }),
+  };
 }
 
 /**
  * Intiates the Polyglot Engine's translation functions by retreiving a LibreText's contents,
- * processing them, and uploading them to AWS S3.
+ * processing them, and uploading them to AWS S3. Progress is checkpointed so that large texts
+ * can be continued in a new invocation before the Lambda time limit is reached.
  *
  * @param {object} event - The initial Lambda invocation event.
+ * @param {object} [context] - The Lambda invocation context.
  * @returns {Promise<boolean>} Returns true upon completion (even if errors occured).
  */
-async function startTranslation(event) {
+async function startTranslation(event, context) {
   if (!axiosInstance) {
-    axiosInstance = axios.create({
+    axiosInstance = addRateLimiting(axios.create({
       httpsAgent: new https.Agent({ keepAlive: true }),
-    });
+    }));
   }
+  resetAPIStats();
 
   let reqParams;
   try {
@@ -696,71 +2625,404 @@ async function startTranslation(event) {
     console.error('[START TRANSLATION] Error parsing queue message:');
     console.error(e);
   }
-  console.log(`[TRANSLATING] ${reqParams.lib}/${reqParams.path}`);
+  if (!reqParams) {
+    return false; // message can't be processed, so don't retry it
+  }
+  const { jobID } = reqParams;
+  const analyze = reqParams.analyze === true;
+  const dryRun = reqParams.dryRun === true || analyze; // analysis doesn't translate
+
+  const s3Client = new S3Client({
+    credentials: {
+      accessKeyId: process.env.AWS_S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_S3_SECRET_ACCESS_KEY,
+    },
+    region: process.env.AWS_ENGINE_REGION,
+  });
+  const timeRemaining = () => context?.getRemainingTimeInMillis?.() ?? Infinity;
+  /* The queue message is deleted once the job is finished, so a timeout retries it */
+  const finish = async (success) => {
+    await deleteQueueMessage(event.receiptHandle);
+    return success;
+  };
+  const failJob = async (error) => {
+    await updateJobRecord(jobID, { status: 'failed', error });
+    return finish(false);
+  };
+  const continueJob = async () => {
+    const continued = await enqueueContinuation(reqParams);
+    if (!continued) {
+      /* fail the invocation so the message is retried after its visibility timeout */
+      throw (new Error('Couldn\'t queue continuation.'));
+    }
+    return finish(true);
+  };
+
+  /* jobs submitted to the local translation backend are run in their own invocations */
+  if (isNonEmptyString(reqParams.localJobID)) {
+    const localJobFinished = await runLocalTranslationJob(
+      s3Client,
+      reqParams.localJobID,
+      timeRemaining,
+    );
+    return localJobFinished ? finish(true) : continueJob();
+  }
 
-  const msgDeleted = await deleteQueueMessage(event.receiptHandle);
-  if (!msgDeleted) {
-    return false; // error logged in previous call
+  console.log(`[TRANSLATING] ${reqParams.lib}/${reqParams.path}`);
+  let checkpoint = await retrieveCheckpoint(s3Client, jobID);
+  if (checkpoint?.phase === 'submitted' || checkpoint?.phase === 'estimated') {
+    console.log(`[CHECKPOINT] Job was already ${checkpoint.phase}.`);
+    return finish(true);
   }
 
   const paramsRetrieve = await retrieveLibraryParameters(reqParams.lib);
   if (!paramsRetrieve) {
     console.error('Fatal Error: Couldn\'t retrieve library keys.');
-    return false;
+    return failJob('Couldn\'t retrieve source library keys.');
   }
 
-  let subpageResults = await retrieveSubpages(reqParams.lib, reqParams.path);
-  if (subpageResults === null) {
-    console.error('[START TRANSLATION] Encountered an error retreiving page information.');
-    return false;
+  if (checkpoint === null && isNonEmptyString(reqParams.reuseCrawl)) {
+    const crawl = await retrieveCheckpoint(s3Client, reqParams.reuseCrawl);
+    if (crawl?.phase === 'estimated') {
+      console.log(`[CRAWL CACHE] Reusing crawl from dry run ${reqParams.reuseCrawl}.`);
+      const inputCleared = await clearInputFiles(s3Client, `${crawl.tree.lib}-${crawl.tree.id}`);
+      if (!inputCleared) {
+        return failJob('Couldn\'t upload page contents to S3.');
+      }
+      const { sourceLanguage, sourceLanguageDetected } = crawl;
+      checkpoint = {
+        jobID,
+        phase: 'fetch',
+        tree: crawl.tree,
+        ancestry: crawl.ancestry,
+        sourceLanguage,
+        sourceLanguageDetected,
+        processed: crawl.processed,
+        reusedCrawl: reqParams.reuseCrawl,
+        inputCopied: false,
+      };
+      await updateJobRecord(jobID, {
+        status: 'crawling',
+        pageCounts: { discovered: countPages(crawl.tree) },
+        details: { sourceLanguage, sourceLanguageDetected },
+      });
+      await saveCheckpoint(s3Client, checkpoint);
+    } else {
+      console.warn(`[CRAWL CACHE] Crawl from dry run ${reqParams.reuseCrawl} not found, crawling again.`);
+    }
+  }
+
+  const subtreeMode = reqParams.subtree === true;
+  if (checkpoint === null) {
+    await updateJobRecord(jobID, { status: 'crawling' });
+    checkpoint = {
+      jobID,
+      phase: 'discover',
+      discovery: {
+        requireCoverpage: !subtreeMode,
+        pending: [{ lib: reqParams.lib, path: reqParams.path, parent: null }],
+        pages: {},
+      },
+    };
+  }
+  if (checkpoint.phase === 'discover') {
+    const discovered = await discoverPages(s3Client, checkpoint, timeRemaining);
+    if (!discovered) {
+      console.log(`[CHECKPOINT] Time limit approaching with ${checkpoint.discovery.pending.length} pages left to discover, continuing in a new invocation...`);
+      return continueJob();
+    }
+    const tree = assembleDiscoveredTree(checkpoint.discovery.pages, reqParams.lib, reqParams.path);
+    if (tree === null) {
+      console.error('[START TRANSLATION] Encountered an error retreiving page information.');
+      return failJob('Couldn\'t retrieve page information.');
+    }
+    let ancestry;
+    if (subtreeMode) {
+      ancestry = await retrieveAncestry(tree.lib, tree.id);
+      if (ancestry === null) {
+        return failJob('Couldn\'t retrieve subtree ancestry.');
+      }
+    }
+    await updateJobRecord(jobID, { pageCounts: { discovered: countPages(tree) } });
+    console.log('[PAGE SEARCH] Finished discovering pages.');
+    console.log(util.inspect(tree, false, 10, true));
+    /* dry runs don't touch the input bucket, which a real run could be using */
+    const inputCleared = dryRun || await clearInputFiles(s3Client, `${tree.lib}-${tree.id}`);
+    if (!inputCleared) {
+      return failJob('Couldn\'t upload page contents to S3.');
+    }
+    checkpoint = {
+      jobID,
+      phase: 'fetch',
+      tree,
+      ancestry,
+      processed: {},
+    };
+    await saveCheckpoint(s3Client, checkpoint);
+  } else {
+    console.log(`[CHECKPOINT] Resuming with ${Object.keys(checkpoint.processed).length} pages processed.`);
+  }
+
+  const { tree, ancestry } = checkpoint;
+  const coverID = `${tree.lib}-${tree.id}`;
+  const { notifyAddrs } = reqParams;
+  const pageCount = countPages(tree);
+  const targets = await async.mapSeries(getJobTargets(reqParams), async (target) => {
+    const { language, targetLib, targetPath } = target;
+    const previousState = await retrieveTranslationState(coverID, targetLib, targetPath, language);
+    let retryPages = null;
+    if (previousState !== null && reqParams.retryPages) {
+      /* retryPages is keyed by language, or a single list when queued before multiple targets */
+      const languageRetries = Array.isArray(reqParams.retryPages)
+        ? reqParams.retryPages
+        : reqParams.retryPages[language];
+      console.log(`[INCREMENTAL] Retrying failed "${language}" pages from job ${reqParams.retryOf}.`);
+      retryPages = new Set(languageRetries || []);
+    }
+    return {
+      target: { ...target, incremental: previousState !== null },
+      previousState,
+      retryPages,
+    };
+  });
+  const incremental = targets.every(({ previousState }) => previousState !== null);
+
+  if (checkpoint.reusedCrawl && !checkpoint.inputCopied) {
+    console.log('[CRAWL CACHE] Copying cached page contents...');
+    checkpoint.processed = Object.fromEntries(Object.entries(checkpoint.processed).map(
+      ([pageKey, page]) => [pageKey, { ...page, targets: getPageTargetStates(page, targets) }],
+    ));
+    const copied = await copyCachedContents(
+      s3Client,
+      checkpoint.reusedCrawl,
+      Object.values(checkpoint.processed),
+      coverID,
+    );
+    if (!copied) {
+      return failJob('Couldn\'t upload page contents to S3.');
+    }
+    checkpoint.inputCopied = true;
+    await saveCheckpoint(s3Client, checkpoint);
   }
 
-  console.log('[PAGE SEARCH] Finished discovering pages.');
-  console.log('[RATE LIMIT PROTECTION] Snoozing for thirty seconds...');
-  await snooze(30 * ONE_SECOND);
+  /* glossary is picked from the source library when not named, or skipped with "none" */
+  if (checkpoint.glossary === undefined) {
+    checkpoint.glossary = null;
+    if (reqParams.glossary !== 'none') {
+      checkpoint.glossary = await retrieveGlossary(s3Client, reqParams.glossary || tree.lib);
+      if (checkpoint.glossary === null && isNonEmptyString(reqParams.glossary)) {
+        return failJob(`Couldn't find glossary "${reqParams.glossary}".`);
+      }
+    }
+  }
+  const { glossary } = checkpoint; // kept in the checkpoint so the memory matches throughout
+  if (glossary) {
+    console.log(`[GLOSSARY] Using glossary "${glossary.name}" (version ${glossary.version}).`);
+  }
 
-  console.log('[PAGE CONTENT] Retrieving page contents...');
-  subpageResults = await getSubpageContents(subpageResults);
-  console.log('[PAGE CONTENTS] Finished retrieving page contents...');
-  console.log(util.inspect(subpageResults, false, 10, true));
+  let memories = null; // retrieved once the source language is known
+  let outcome = null; // set if the invocation ends before every page is processed
+  const pendingPages = listTreePages(tree).filter((page) => (
+    !checkpoint.processed[`${page.lib}-${page.id}`]
+  ));
+  await async.whilst(async () => pendingPages.length > 0 && outcome === null, async () => {
+    if (timeRemaining() < CHECKPOINT_TIME_MARGIN) {
+      console.log(`[CHECKPOINT] Time limit approaching with ${pendingPages.length} pages left, continuing in a new invocation...`);
+      outcome = await continueJob();
+      return;
+    }
+    const chunk = pendingPages.splice(0, CRAWL_CHUNK_SIZE);
+    console.log(`[PAGE CONTENT] Retrieving and processing ${chunk.length} pages (${pendingPages.length} left after)...`);
+    let chunkPages = await async.mapLimit(chunk, MAX_CONCURRENT, async (page) => (
+      getSubpageContents(page)
+    ));
+    if (!isNonEmptyString(checkpoint.sourceLanguage)) {
+      let { sourceLanguage } = reqParams;
+      const sourceLanguageDetected = !isNonEmptyString(sourceLanguage);
+      if (sourceLanguageDetected) {
+        console.log('[DETECT LANGUAGE] Detecting source language...');
+        sourceLanguage = await detectSourceLanguage({
+          ...chunkPages[0],
+          subpages: chunkPages.slice(1),
+        });
+        if (!isNonEmptyString(sourceLanguage)) {
+          console.warn(`[DETECT LANGUAGE] Couldn't detect source language, assuming "${ENGLISH_LANG_CODE}".`);
+          sourceLanguage = ENGLISH_LANG_CODE;
+        }
+      }
+      checkpoint.sourceLanguage = sourceLanguage;
+      checkpoint.sourceLanguageDetected = sourceLanguageDetected;
+      await updateJobRecord(jobID, { details: { sourceLanguage, sourceLanguageDetected } });
+    }
+    if (memories === null && isTranslationMemoryEnabled()) {
+      memories = await retrieveTranslationMemories(
+        s3Client,
+        checkpoint.sourceLanguage,
+        targets.map(({ target }) => target.language),
+        glossary,
+      );
+    }
+    chunkPages = await async.mapLimit(chunkPages, MAX_CONCURRENT, processPageContents);
+    chunkPages = chunkPages.map((page) => addContentHashes(page));
+    if (analyze) {
+      const chunkLanguage = checkpoint.sourceLanguage;
+      checkpoint.termCandidates = chunkPages.reduce((candidates, page) => (
+        mergeTermCandidates(candidates, extractTermCandidates(page, chunkLanguage))
+      ), checkpoint.termCandidates || {});
+    }
+    if (memories !== null) {
+      chunkPages = chunkPages.map((page) => applyTranslationMemory(page, memories));
+    }
+    chunkPages = chunkPages.map((page) => ({
+      ...page,
+      characterCount: countTranslatableCharacters(page.contents),
+      targets: getPageTargetStates(page, targets),
+    }));
+    const chunkUploaded = await (dryRun
+      ? cacheCrawledContents(s3Client, chunkPages, jobID)
+      : uploadPageContents(s3Client, chunkPages, coverID));
+    if (!chunkUploaded) {
+      outcome = await failJob('Couldn\'t upload page contents to S3.');
+      return;
+    }
+    chunkPages.forEach(({ contents, ...pageInfo }) => {
+      checkpoint.processed[`${pageInfo.lib}-${pageInfo.id}`] = pageInfo;
+    });
+    await saveCheckpoint(s3Client, checkpoint);
+  });
+  if (outcome !== null) {
+    return outcome;
+  }
+  console.log('[PAGE CONTENTS] Finished retrieving and processing page contents.');
+  await updateJobRecord(jobID, { details: { crawlAPIStats: logAPIStats() } });
 
-  console.log('[PROCESS CONTENTS] Pre-processing page contents....');
-  subpageResults = await processPageContents(subpageResults);
-  console.log('[PROCESS CONTENTS] Finished content pre-processing.');
+  const { sourceLanguage, sourceLanguageDetected } = checkpoint;
+  if (dryRun) {
+    const estimate = createCostEstimate(
+      Object.values(checkpoint.processed),
+      targets.map(({ target }) => target.language),
+    );
+    console.log(`[DRY RUN] ${estimate.billedCharacters} characters to translate, estimated cost $${estimate.estimatedCost}.`);
+    let termCandidates;
+    if (analyze) {
+      termCandidates = await saveTermCandidates(s3Client, checkpoint.termCandidates || {}, {
+        coverID,
+        jobID,
+        sourceLanguage,
+        languages: targets.map(({ target }) => target.language),
+      });
+      if (!termCandidates) {
+        return failJob('Couldn\'t save candidate glossary terms.');
+      }
+    }
+    await saveCheckpoint(s3Client, { ...checkpoint, phase: 'estimated' });
+    await updateJobRecord(jobID, {
+      status: 'estimated',
+      details: { estimate, ...(termCandidates && { termCandidates }) },
+    });
+    return finish(true);
+  }
+  const processedTree = mergeProcessedPages(tree, checkpoint.processed);
+  const changedCount = Object.values(checkpoint.processed).filter((page) => (
+    !isPageUnchanged(page)
+  )).length;
+  if (targets.some(({ previousState }) => previousState !== null)) {
+    console.log(`[INCREMENTAL] ${changedCount} of ${pageCount} pages are new or have changed.`);
+    await updateJobRecord(jobID, { pageCounts: { unchanged: pageCount - changedCount } });
+    if (incremental && changedCount === 0) {
+      console.log('[COMPLETE] No pages have changed since the last translation.');
+      await updateJobRecord(jobID, { status: 'completed', pageCounts: { uploaded: 0 } });
+      return finish(true);
+    }
+  }
 
-  console.log('[LIBRETEXT UPLOAD] Uploading page contents to S3...');
-  const { targetLib, targetPath, notifyAddrs } = reqParams;
-  await uploadLibreText(
-    subpageResults,
-    { targetLib, targetPath },
+  console.log('[LIBRETEXT UPLOAD] Uploading text metadata to S3...');
+  const uploadSuccess = await uploadLibreText(
+    processedTree,
+    targets.map(({ target }) => target),
     notifyAddrs,
+    {
+      jobID,
+      sourceLanguage,
+      sourceLanguageDetected,
+      ancestry,
+      writePolicy: reqParams.writePolicy,
+      onFailure: reqParams.onFailure,
+      review: reqParams.review,
+      glossary,
+    },
   );
+  if (!uploadSuccess) {
+    return failJob('Couldn\'t upload page contents to S3.');
+  }
   console.log('[LIBRETEXT UPLOAD] Finished uploading content to S3.');
+  await updateJobRecord(jobID, {
+    status: 'uploaded',
+    pageCounts: { uploaded: changedCount },
+    details: { coverID, incremental },
+  });
 
   console.log('[START TRANSLATION JOB] Submitting translation job...');
   const trnsJob = await initiateTranslationJob(
-    `${subpageResults.lib}-${subpageResults.id}`,
-    reqParams.language,
+    coverID,
+    targets.map(({ target }) => target.language),
+    sourceLanguage,
+    glossary,
+    s3Client,
   );
-  if (trnsJob) {
-    console.log('[START TRANSLATION JOB] Translation job submitted successfully.');
+  if (!trnsJob) {
+    return failJob('Couldn\'t submit translation job.');
   }
+  console.log('[START TRANSLATION JOB] Translation job submitted successfully.');
+  await saveCheckpoint(s3Client, { ...checkpoint, phase: 'submitted', translationJob: trnsJob });
+  await updateJobRecord(jobID, { status: 'translating', details: trnsJob });
 
-  console.log(`[COMPLETE] StartTranslation is complete. ${trnsJob ? 'Content translation will start shortly.' : ''}`);
-  return true;
+  console.log('[COMPLETE] StartTranslation is complete. Content translation will start shortly.');
+  return finish(true);
 }
 
 /**
- * Exposes the main function to the Lambda execution environment.
+ * Exposes the main function to the Lambda execution environment. Each queue message in the batch
+ * is processed in order. Messages that fail with an error, and any messages after them (to keep
+ * the queue's ordering), are reported as batch item failures so only they are redelivered.
  *
  * @param {object} event - The event that triggered the Lambda invocation.
- * @returns {Promise<boolean>} True if process succeeed, false otherwise.
+ * @param {object} context - The Lambda invocation context.
+ * @returns {Promise<object|boolean>} An SQS batch response listing the failed messages, or false
+ *  if the event is invalid.
  */
-export default async function startTranslationEventHandler(event) {
+export default async function startTranslationEventHandler(event, context) {
   console.log(event);
   if (!event || !event.Records || event.Records.length === 0) {
     console.error('[HANDLER] Event information is invalid or missing.');
     return false;
   }
-  return startTranslation(event.Records[0]);
+  const batchItemFailures = [];
+  await async.eachSeries(event.Records, async (record) => {
+    if (batchItemFailures.length > 0) {
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+      return;
+    }
+    const timeRemaining = context?.getRemainingTimeInMillis?.() ?? Infinity;
+    if (timeRemaining < CHECKPOINT_TIME_MARGIN) {
+      console.warn(`[HANDLER] Not enough time left for message ${record.messageId}, deferring it.`);
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+      return;
+    }
+    try {
+      await startTranslation(record, context);
+    } catch (e) {
+      console.error(`[HANDLER] Error processing message ${record.messageId}:`);
+      console.error(e);
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+    }
+  });
+  return { batchItemFailures };
 }
+
+export {
+  getPageTargetState,
+  processPageContents,
+  parseCSV,
+  removeGlossaryReviewColumns,
+};
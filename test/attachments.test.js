@@ -0,0 +1,20 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getAttachmentFileName } from '../process-translated/main.js';
+
+describe('getAttachmentFileName', () => {
+  it('decodes names in file ID URLs', () => {
+    const fileURL = new URL('https://chem.libretexts.org/@api/deki/files/1234/Figure%201.png?revision=1');
+    assert.equal(getAttachmentFileName(fileURL), 'Figure 1.png');
+  });
+
+  it('strips the "=" prefix and double encoding from page file URLs', () => {
+    const fileURL = new URL('https://chem.libretexts.org/@api/deki/pages/56/files/=Figure%25201%2523a.png');
+    assert.equal(getAttachmentFileName(fileURL), 'Figure 1#a.png');
+  });
+
+  it('accepts page file URLs encoded only once', () => {
+    const fileURL = new URL('https://chem.libretexts.org/@api/deki/pages/56/files/=100%25.png');
+    assert.equal(getAttachmentFileName(fileURL), '100%.png');
+  });
+});
@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { parseCSV, removeGlossaryReviewColumns } from '../start-translation/main.js';
+
+describe('parseCSV', () => {
+  it('parses quoted values with commas, quotes, and line breaks', () => {
+    const text = 'en,es\n"acid, strong","ácido ""fuerte"""\r\n"two\nlines",dos\n';
+    assert.deepEqual(parseCSV(text), [
+      ['en', 'es'],
+      ['acid, strong', 'ácido "fuerte"'],
+      ['two\nlines', 'dos'],
+    ]);
+  });
+
+  it('keeps empty values and skips blank rows', () => {
+    assert.deepEqual(parseCSV('en,es,fr\nbase,,base\n\n,,\nsalt,sal,sel'), [
+      ['en', 'es', 'fr'],
+      ['base', '', 'base'],
+      ['salt', 'sal', 'sel'],
+    ]);
+  });
+});
+
+describe('removeGlossaryReviewColumns', () => {
+  it('drops review columns and terms without translations', () => {
+    const text = '\uFEFFen,es,frequency,kind,context\n'
+      + 'acid,ácido,12,bold,"An acid, in water."\n'
+      + 'mole,,4,frequent-phrase,One mole\n'
+      + '"pH, scale","escala de pH",3,definition-list,\n';
+    assert.equal(
+      removeGlossaryReviewColumns(text),
+      'en,es\nacid,ácido\n"pH, scale",escala de pH\n',
+    );
+  });
+
+  it('keeps a glossary without review columns as is', () => {
+    const text = 'en,es\nacid,ácido\nmole,\n';
+    assert.equal(removeGlossaryReviewColumns(text), text);
+  });
+});
@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { rewritePageLinks } from '../process-translated/main.js';
+
+describe('rewritePageLinks', () => {
+  const linkTargets = {
+    byID: new Map([['101', '9001'], ['102', '9002']]),
+    byPath: new Map([
+      ['Bookshelves/Chemistry/1:_Atoms', '9001'],
+      ['Bookshelves/Chemistry/2:_Bonds', '9002'],
+    ]),
+  };
+
+  it('rewrites /@go/page links to the translated pages', () => {
+    const [contents, count, unresolved] = rewritePageLinks(
+      '<p><a href="/@go/page/101">Atoms</a> and <a href="https://chem.libretexts.org/@go/page/102">Bonds</a></p>',
+      'chem',
+      linkTargets,
+    );
+    assert.equal(contents, '<p><a href="/@go/page/9001">Atoms</a> and <a href="/@go/page/9002">Bonds</a></p>');
+    assert.equal(count, 2);
+    assert.deepEqual(unresolved, []);
+  });
+
+  it('rewrites full URLs of pages in the same text', () => {
+    const [contents, count] = rewritePageLinks(
+      '<a href="https://chem.libretexts.org/Bookshelves/Chemistry/2%3A_Bonds/">Bonds</a>',
+      'chem',
+      linkTargets,
+    );
+    assert.equal(contents, '<a href="/@go/page/9002">Bonds</a>');
+    assert.equal(count, 1);
+  });
+
+  it('keeps the link\'s fragment', () => {
+    const [contents] = rewritePageLinks(
+      '<a href="/Bookshelves/Chemistry/1:_Atoms#isotopes">Isotopes</a>',
+      'chem',
+      linkTargets,
+    );
+    assert.equal(contents, '<a href="/@go/page/9001#isotopes">Isotopes</a>');
+  });
+
+  it('leaves links to other hosts and in-page anchors alone', () => {
+    const html = '<a href="https://bio.libretexts.org/@go/page/101">Other library</a><a href="https://example.com/">Elsewhere</a><a href="#top">Top</a>';
+    const [contents, count, unresolved] = rewritePageLinks(html, 'chem', linkTargets);
+    assert.equal(contents, html);
+    assert.equal(count, 0);
+    assert.deepEqual(unresolved, []);
+  });
+
+  it('lists links to source pages outside the text as unresolved', () => {
+    const html = '<a href="/@go/page/555">Appendix</a><a href="/Bookshelves/Physics/Waves">Waves</a>';
+    const [contents, count, unresolved] = rewritePageLinks(html, 'chem', linkTargets);
+    assert.equal(contents, html);
+    assert.equal(count, 0);
+    assert.deepEqual(unresolved, ['/@go/page/555', '/Bookshelves/Physics/Waves']);
+  });
+});
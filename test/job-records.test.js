@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { describe, it } from 'node:test';
+import { writeJobRecordUpdate } from '../shared/main.js';
+
+/**
+ * Creates a stand-in for an S3 client that stores a single job record, and can have another
+ * writer change the record between a read and the following write.
+ *
+ * @param {object|null} record - The record stored initially, if any.
+ * @returns {object} The fake client, with the stored record and the conditions of each write.
+ */
+function createFakeS3(record) {
+  const fake = {
+    record,
+    version: 1,
+    writes: [],
+    interrupt: null,
+    async send(command) {
+      if (command.constructor.name === 'GetObjectCommand') {
+        if (fake.record === null) {
+          throw Object.assign(new Error('Not found'), { name: 'NoSuchKey' });
+        }
+        return {
+          Body: Readable.from([JSON.stringify(fake.record)]),
+          ETag: `"${fake.version}"`,
+        };
+      }
+      const { IfMatch, IfNoneMatch, Body } = command.input;
+      fake.writes.push({ IfMatch, IfNoneMatch });
+      if (fake.interrupt) {
+        fake.interrupt(fake);
+        fake.interrupt = null;
+      }
+      const matches = IfNoneMatch === '*' ? fake.record === null : IfMatch === `"${fake.version}"`;
+      if (!matches) {
+        throw Object.assign(new Error('Precondition Failed'), { $metadata: { httpStatusCode: 412 } });
+      }
+      fake.record = JSON.parse(Body.toString());
+      fake.version += 1;
+      return {};
+    },
+  };
+  return fake;
+}
+
+describe('writeJobRecordUpdate', () => {
+  it('creates the record only if it doesn\'t exist yet', async () => {
+    const s3Client = createFakeS3(null);
+    await writeJobRecordUpdate(s3Client, 'job', { status: 'crawling' });
+    assert.deepEqual(s3Client.writes, [{ IfMatch: undefined, IfNoneMatch: '*' }]);
+    assert.equal(s3Client.record.status, 'crawling');
+  });
+
+  it('re-applies the update when another writer changed the record', async () => {
+    const s3Client = createFakeS3({
+      jobID: 'job',
+      status: 'translating',
+      pageCounts: {},
+      errors: [],
+      history: [],
+    });
+    s3Client.interrupt = (fake) => {
+      Object.assign(fake, {
+        record: { ...fake.record, review: { fr: { status: 'pending' } } },
+        version: fake.version + 1,
+      });
+    };
+    await writeJobRecordUpdate(s3Client, 'job', { status: 'saving', pageCounts: { saved: 3 } });
+    assert.equal(s3Client.writes.length, 2);
+    assert.equal(s3Client.writes[1].IfMatch, '"2"');
+    assert.equal(s3Client.record.status, 'saving');
+    assert.deepEqual(s3Client.record.pageCounts, { saved: 3 });
+    assert.deepEqual(s3Client.record.review, { fr: { status: 'pending' } });
+  });
+
+  it('computes function updates again from the changed record', async () => {
+    const s3Client = createFakeS3({
+      jobID: 'job',
+      status: 'saving',
+      pageCounts: {},
+      errors: [],
+      history: [],
+      languageStatus: { es: 'saving', uk: 'saving' },
+    });
+    s3Client.interrupt = (fake) => {
+      Object.assign(fake, {
+        record: { ...fake.record, languageStatus: { es: 'saving', uk: 'completed' } },
+        version: fake.version + 1,
+      });
+    };
+    await writeJobRecordUpdate(s3Client, 'job', (record) => ({
+      details: { languageStatus: { ...record.languageStatus, es: 'completed' } },
+    }));
+    assert.deepEqual(s3Client.record.languageStatus, { es: 'completed', uk: 'completed' });
+  });
+});
@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createLanguageRecordUpdate } from '../process-translated/main.js';
+
+describe('createLanguageRecordUpdate', () => {
+  const record = {
+    status: 'saving',
+    pageCounts: { discovered: 4 },
+    languageStatus: { es: 'saving', uk: 'saving' },
+  };
+
+  it('keeps the job saving until every language has finished', () => {
+    const update = createLanguageRecordUpdate(record, ['es', 'uk'], 'es', {
+      status: 'completed',
+      reportKey: 'es.report.json',
+      pageCounts: { saved: 3, failed: 0 },
+    });
+    assert.equal(update.status, undefined);
+    assert.deepEqual(update.details.languageStatus, { es: 'completed', uk: 'saving' });
+    assert.deepEqual(update.details.reports, { es: 'es.report.json' });
+    assert.deepEqual(update.pageCounts, { saved: 3, failed: 0 });
+  });
+
+  it('sums page counts and completes once all languages are saved', () => {
+    const update = createLanguageRecordUpdate({
+      ...record,
+      languageStatus: { es: 'completed', uk: 'saving' },
+      languagePageCounts: { es: { saved: 3, failed: 0 } },
+    }, ['es', 'uk'], 'uk', {
+      status: 'completed',
+      pageCounts: { saved: 2, failed: 0 },
+    });
+    assert.equal(update.status, 'completed');
+    assert.deepEqual(update.pageCounts, { saved: 5, failed: 0 });
+  });
+
+  it('fails the job if any language failed, once all have finished', () => {
+    const update = createLanguageRecordUpdate({
+      ...record,
+      languageStatus: { es: 'failed', uk: 'saving' },
+    }, ['es', 'uk'], 'uk', { status: 'completed' });
+    assert.equal(update.status, 'failed');
+  });
+
+  it('holds the job for review if a language is awaiting review', () => {
+    const update = createLanguageRecordUpdate({
+      ...record,
+      languageStatus: { es: 'completed', uk: 'saving' },
+      review: { es: { mode: 'tag', status: 'pending' } },
+    }, ['es', 'uk'], 'uk', { status: 'completed' });
+    assert.equal(update.status, 'awaiting-review');
+    assert.deepEqual(Object.keys(update.details.review), ['es']);
+  });
+
+  it('lists the languages saved without translation', () => {
+    const update = createLanguageRecordUpdate({
+      ...record,
+      untranslated: ['es'],
+    }, ['es', 'uk'], 'uk', { status: 'completed', untranslated: true });
+    assert.deepEqual(update.details.untranslated, ['es', 'uk']);
+  });
+});
@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { describe, it } from 'node:test';
+import * as cheerio from 'cheerio';
+import { processPageContents } from '../start-translation/main.js';
+import {
+  processTranslatedContent,
+  restoreProtectedFragments,
+} from '../process-translated/main.js';
+
+const FIXTURES_DIR = new URL('./fixtures/protection/', import.meta.url);
+const expectedFragments = JSON.parse(
+  await fs.readFile(new URL('fragments.json', FIXTURES_DIR), 'utf-8'),
+);
+
+/**
+ * Stands in for the translation provider by upper-casing all text outside no-translate markup.
+ *
+ * @param {string} contents - The pre-processed page contents.
+ * @returns {string} The "translated" contents.
+ */
+function fakeTranslate(contents) {
+  const $ = cheerio.load(contents, { decodeEntities: true }, false);
+  $('*').contents().each((_idx, node) => {
+    if (node.type === 'text' && $(node).closest('[translate="no"]').length === 0) {
+      $(node).replaceWith(node.data.toUpperCase());
+    }
+  });
+  return $.html();
+}
+
+/**
+ * Lists the text of a page's DekiScript blocks, such as transclusion scripts.
+ *
+ * @param {string} contents - The page contents.
+ * @returns {string[]} The text of each script block.
+ */
+function listScripts(contents) {
+  const $ = cheerio.load(contents, { decodeEntities: true }, false);
+  return $('pre.script').map((_idx, elem) => $(elem).text().trim()).get();
+}
+
+/**
+ * Lists the text around the templates in each paragraph or list item that contains one.
+ *
+ * @param {string} contents - The page contents.
+ * @returns {string[]} The text of each element, without its templates.
+ */
+function listTemplateProse(contents) {
+  const $ = cheerio.load(contents, { decodeEntities: true }, false);
+  return $('p, li')
+    .filter((_idx, elem) => $(elem).text().includes('{{'))
+    .map((_idx, elem) => $(elem).text().replace(/{{[^{}]*}}/g, ''))
+    .get();
+}
+
+describe('protection corpus', () => {
+  Object.entries(expectedFragments).forEach(([filename, fragments]) => {
+    it(`restores the fragments in ${filename} byte-for-byte`, async () => {
+      const source = await fs.readFile(new URL(filename, FIXTURES_DIR), 'utf-8');
+      const processed = await processPageContents({
+        lib: 'chem',
+        id: '1',
+        title: filename,
+        contents: source,
+      });
+      processed.protectedFragments.forEach((fragment) => {
+        assert.ok(!processed.contents.includes(fragment), `${fragment} was sent for translation`);
+      });
+      const translated = processTranslatedContent(fakeTranslate(processed.contents));
+      const restored = restoreProtectedFragments(translated, processed.protectedFragments);
+      fragments.forEach((fragment) => {
+        assert.ok(source.includes(fragment), `${fragment} isn't in the fixture`);
+        assert.ok(restored.includes(fragment), `${fragment} wasn't restored`);
+      });
+      assert.ok(!restored.includes('data-libre-protected'));
+      assert.deepEqual(listScripts(restored), listScripts(source));
+      listTemplateProse(restored).forEach((text) => {
+        assert.equal(text, text.toUpperCase(), `"${text}" wasn't translated`);
+      });
+      assert.equal(translated.title.trim(), filename.toUpperCase());
+    });
+  });
+});
@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { processPageContents } from '../start-translation/main.js';
+import {
+  processTranslatedContent,
+  restoreProtectedFragments,
+} from '../process-translated/main.js';
+
+/**
+ * Runs a page through StartTranslation's pre-processing and ProcessTranslated's restoration,
+ * without translating it.
+ *
+ * @param {object} page - The source page, with its title, summary, and contents.
+ * @returns {Promise<object>} The processed page, with its fragments restored.
+ */
+async function roundTrip(page) {
+  const processed = await processPageContents({ lib: 'chem', id: '1', ...page });
+  const translated = processTranslatedContent(processed.contents);
+  return {
+    ...translated,
+    contents: restoreProtectedFragments(translated, processed.protectedFragments),
+    protectedFragments: processed.protectedFragments,
+  };
+}
+
+describe('protected fragments', () => {
+  it('leaves page titles and summaries unprotected', async () => {
+    const page = await roundTrip({
+      title: 'The \\(n+1\\) Rule',
+      summary: 'Uses {{template.Foo()}} here',
+      contents: '<p>Body</p>',
+    });
+    assert.equal(page.title.trim(), 'The \\(n+1\\) Rule');
+    assert.equal(page.summary, 'Uses {{template.Foo()}} here');
+    assert.equal(page.protectedFragments, undefined);
+  });
+
+  it('restores fragments with their original entities', async () => {
+    const template = '{{template.Bar(&quot;q&quot;)}}';
+    const page = await roundTrip({
+      title: 'Entities',
+      contents: `<p>See ${template} and \\(a &lt; b\\).</p>`,
+    });
+    assert.deepEqual(page.protectedFragments, [template, '\\(a &lt; b\\)']);
+    assert.ok(page.contents.includes(`<p>See ${template} and \\(a &lt; b\\).</p>`));
+  });
+
+  it('restores fragments nested in protected elements', async () => {
+    const page = await roundTrip({
+      title: 'Nested',
+      contents: '<p>Run <code>{{template.Baz()}}</code> now.</p>',
+    });
+    assert.ok(page.contents.includes('<code>{{template.Baz()}}</code>'));
+    assert.ok(!page.contents.includes('data-libre-protected'));
+  });
+});
@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getRetryDelay, isRetryableRequest } from '../shared/main.js';
+
+describe('getRetryDelay', () => {
+  it('waits as long as the Retry-After header asks', () => {
+    assert.equal(getRetryDelay({ headers: { 'retry-after': '3' } }, 0), 3000);
+    const date = new Date(Date.now() + 10000).toUTCString();
+    const delay = getRetryDelay({ headers: { 'retry-after': date } }, 0);
+    assert.ok(delay > 8000 && delay <= 10000);
+  });
+
+  it('caps the wait at a minute', () => {
+    assert.equal(getRetryDelay({ headers: { 'retry-after': '600' } }, 0), 60000);
+    assert.equal(getRetryDelay(undefined, 10), 60000);
+  });
+
+  it('backs off exponentially with jitter otherwise', () => {
+    [0, 1, 2, 3].forEach((attempt) => {
+      const delay = getRetryDelay(undefined, attempt);
+      assert.ok(delay >= 1000 * (2 ** attempt) && delay < 1000 * (2 ** attempt) + 1000);
+    });
+  });
+});
+
+describe('isRetryableRequest', () => {
+  it('always retries throttled requests', () => {
+    assert.ok(isRetryableRequest({ config: { method: 'post' }, response: { status: 429 } }));
+  });
+
+  it('retries server errors and dropped connections on read-only requests', () => {
+    assert.ok(isRetryableRequest({ config: { method: 'get' }, response: { status: 503 } }));
+    assert.ok(isRetryableRequest({ config: { method: 'get' }, code: 'ECONNRESET' }));
+    assert.ok(!isRetryableRequest({ config: { method: 'get' }, response: { status: 404 } }));
+  });
+
+  it('doesn\'t retry requests that may have changed something', () => {
+    assert.ok(!isRetryableRequest({ config: { method: 'post' }, response: { status: 502 } }));
+    assert.ok(!isRetryableRequest({ config: { method: 'put' }, code: 'ECONNRESET' }));
+    assert.ok(!isRetryableRequest({ config: { method: 'delete' }, code: 'ETIMEDOUT' }));
+  });
+});
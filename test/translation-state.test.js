@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getPageTargetState } from '../start-translation/main.js';
+import { findRemovedPages } from '../process-translated/main.js';
+
+const previousState = {
+  targetPath: 'Bookshelves/Chemie',
+  pages: {
+    'chem-1': {
+      targetID: '101',
+      relativePath: 'Chemie',
+      contentHash: 'aaa',
+      revision: 3,
+    },
+    'chem-2': {
+      targetID: '102',
+      relativePath: 'Chemie/1:_Materie',
+      contentHash: 'bbb',
+      revision: 1,
+    },
+  },
+};
+
+describe('getPageTargetState', () => {
+  it('treats pages missing from the previous state as new', () => {
+    assert.deepEqual(
+      getPageTargetState({ lib: 'chem', id: '3', contentHash: 'ccc' }, previousState),
+      { unchanged: false },
+    );
+    assert.deepEqual(
+      getPageTargetState({ lib: 'chem', id: '1', contentHash: 'aaa' }, null),
+      { unchanged: false },
+    );
+  });
+
+  it('compares content hashes and keeps the previous translation\'s location', () => {
+    assert.deepEqual(
+      getPageTargetState({ lib: 'chem', id: '1', contentHash: 'aaa' }, previousState),
+      {
+        unchanged: true,
+        previousTargetID: '101',
+        previousTargetPath: 'Chemie',
+        previousTargetRevision: 3,
+      },
+    );
+    const changed = getPageTargetState({ lib: 'chem', id: '2', contentHash: 'zzz' }, previousState);
+    assert.equal(changed.unchanged, false);
+    assert.equal(changed.previousTargetID, '102');
+  });
+
+  it('only treats the retried pages as changed when retrying', () => {
+    const retryPages = new Set(['chem-2']);
+    const page1 = { lib: 'chem', id: '1', contentHash: 'zzz' };
+    const page2 = { lib: 'chem', id: '2', contentHash: 'bbb' };
+    assert.equal(getPageTargetState(page1, previousState, retryPages).unchanged, true);
+    assert.equal(getPageTargetState(page2, previousState, retryPages).unchanged, false);
+  });
+});
+
+describe('findRemovedPages', () => {
+  it('lists previously translated pages that are no longer in the text', () => {
+    const inputMetadata = { allPages: [{ lib: 'chem', id: '1' }, { lib: 'chem', id: '3' }] };
+    assert.deepEqual(findRemovedPages(previousState, inputMetadata), [
+      { pageKey: 'chem-2', status: 'removed', targetID: '102' },
+    ]);
+  });
+
+  it('lists nothing without a previous state', () => {
+    assert.deepEqual(findRemovedPages(null, { allPages: [] }), []);
+  });
+});
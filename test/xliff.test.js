@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { describe, it } from 'node:test';
+import * as cheerio from 'cheerio';
+import {
+  createXLIFFCodeTable,
+  createXLIFFInline,
+  parseXLIFFInline,
+  retrieveXLIFFPages,
+} from '../process-translated/main.js';
+
+/**
+ * Converts a unit's HTML to XLIFF inline content, then back to HTML as an import would.
+ *
+ * @param {string} html - The unit's HTML.
+ * @returns {object} The XLIFF inline content (inline) and the rebuilt HTML (html).
+ */
+function roundTrip(html) {
+  const $page = cheerio.load(`<p>${html}</p>`, { decodeEntities: true }, false);
+  const codes = createXLIFFCodeTable();
+  const inline = createXLIFFInline($page, $page('p').contents().toArray(), codes);
+  const $xliff = cheerio.load(`<target>${inline}</target>`, { xmlMode: true, decodeEntities: true });
+  return {
+    inline,
+    html: parseXLIFFInline($xliff, $xliff('target').contents().toArray(), codes.data),
+  };
+}
+
+describe('createXLIFFInline and parseXLIFFInline', () => {
+  it('round-trips text with paired codes and placeholders', () => {
+    const html = 'Water is <strong class="term">H<sub>2</sub>O</strong>.<br>See <a href="/Page?a=1&amp;b=2">here</a>.';
+    const { inline, html: rebuilt } = roundTrip(html);
+    assert.match(inline, /<pc id="1" dataRefStart="d1s" dataRefEnd="d1e">H<pc id="2"/);
+    assert.match(inline, /<ph id="3" dataRef="d3"\/>/);
+    assert.equal(rebuilt, html);
+  });
+
+  it('escapes markup characters in text', () => {
+    const { inline, html } = roundTrip('a &lt; b &amp;&amp; c &gt; d');
+    assert.equal(inline, 'a &lt; b &amp;&amp; c &gt; d');
+    assert.equal(html, 'a &lt; b &amp;&amp; c &gt; d');
+  });
+
+  it('turns protected content into placeholders that can\'t be copied or deleted', () => {
+    const html = 'Solve <span translate="no" data-libre-protected="3">\\(x^2\\)</span> now.';
+    const { inline, html: rebuilt } = roundTrip(html);
+    assert.equal(inline, 'Solve <ph id="1" dataRef="d1" canCopy="no" canDelete="no"/> now.');
+    assert.equal(rebuilt, html);
+  });
+
+  it('reuses source code identifiers for the same target markup', () => {
+    const $page = cheerio.load('<p><em>one</em> <em>two</em></p><p><em>uno</em> <em>dos</em></p>', { decodeEntities: true }, false);
+    const [source, target] = $page('p').toArray();
+    const codes = createXLIFFCodeTable();
+    const sourceInline = createXLIFFInline($page, $page(source).contents().toArray(), codes);
+    const targetInline = createXLIFFInline($page, $page(target).contents().toArray(), codes, true);
+    assert.equal(sourceInline.replace('one', 'uno').replace('two', 'dos'), targetInline);
+  });
+
+  it('unwraps annotations added by CAT tools and drops unknown codes', () => {
+    const $xliff = cheerio.load(
+      '<target><mrk id="m1" translate="no">Hola</mrk> <pc id="1" dataRefStart="d1s" dataRefEnd="d1e">mundo</pc><ph id="9" dataRef="d9"/></target>',
+      { xmlMode: true, decodeEntities: true },
+    );
+    const data = { d1s: '<em>', d1e: '</em>' };
+    const html = parseXLIFFInline($xliff, $xliff('target').contents().toArray(), data);
+    assert.equal(html, 'Hola <em>mundo</em>');
+  });
+});
+
+describe('retrieveXLIFFPages', () => {
+  it('reads skeletons from the job, and ignores files that aren\'t pages of the text', async () => {
+    const objects = {
+      'xliff/job/chem-1.fr.xlf': `<xliff version="2.0">
+        <file id="chem-1"><skeleton href="secret/chem-1.html"/>
+          <unit id="u2"><segment><source>Hello</source><target>Salut</target></segment></unit>
+        </file>
+        <file id="chem-9"><skeleton href="xliff/job/fr/chem-1.html"/></file>
+      </xliff>`,
+      'xliff/job/fr/chem-1.html': '<span data-libre-pagetitle="true" data-libre-lib="chem" data-libre-pageid="1">Titre</span><p data-libre-unit="u2">Bonjour</p>',
+      'secret/chem-1.html': '<span data-libre-pagetitle="true" data-libre-lib="chem" data-libre-pageid="1">Secret</span>',
+    };
+    const reads = [];
+    process.env.AWS_S3_OUTPUT_BUCKET = 'output';
+    const s3Client = {
+      async send(command) {
+        reads.push(command.input.Key);
+        return {
+          $metadata: { httpStatusCode: 200 },
+          Body: Readable.from([objects[command.input.Key]]),
+        };
+      },
+    };
+    const pages = await retrieveXLIFFPages(
+      s3Client,
+      { xliffKey: 'xliff/job/chem-1.fr.xlf' },
+      { jobID: 'job', allPages: [{ lib: 'chem', id: '1' }] },
+      'fr',
+    );
+    assert.deepEqual(reads, ['xliff/job/chem-1.fr.xlf', 'xliff/job/fr/chem-1.html']);
+    assert.equal(pages.length, 1);
+    assert.equal(pages[0].title, 'Titre');
+    assert.equal(pages[0].contents, '<p>Salut</p>');
+  });
+});